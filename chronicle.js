@@ -4,6 +4,34 @@
  * @license MIT
  */
 
+/**
+ * The binary types the codec preserves, stored as base64.
+ * @private
+ */
+const BINARY_TYPES = [
+  'ArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+];
+
+/**
+ * The format name and current version of the bundles written by `export()`.
+ * @private
+ */
+const BUNDLE_FORMAT = 'chronicle-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * The form of a commit ID. Only IDs of this form are looked up in a storage adapter.
+ * @private
+ */
+const COMMIT_ID_PATTERN = /^[0-9a-f]{40}$/;
+
+/**
+ * Keys that would reach an object's prototype, refused in JSON pointers and ref names.
+ * @private
+ */
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
 /**
  * A class representing a simple Git-like versioning system.
  * It supports commits, branches, history, and more advanced operations like forking and merging.
@@ -15,8 +43,63 @@ class VersionControl {
     /**
      * Creates an instance of VersionControl.
      * @param {*} [initialData=null] - The initial data to commit. If provided, an initial commit is created.
+     * @param {Object} [options={}] - Configuration options.
+     * @param {('snapshot'|'delta')} [options.storage='snapshot'] - How commit data is stored. `'snapshot'` keeps a full copy
+     *   per commit; `'delta'` keeps periodic keyframe snapshots and JSON patches between them.
+     * @param {number} [options.keyframeInterval=20] - In delta mode, the maximum number of patches between two keyframes.
+     * @param {number} [options.undoDepth=100] - The maximum number of consecutive `undo()` steps.
+     * @param {number} [options.coalesceWindow=0] - If greater than 0, a `commit()` made within this many milliseconds
+     *   of the previous `commit()` on the same branch replaces it instead of adding a new undo step.
+     * @param {('drop'|'keep')} [options.redoPolicy='drop'] - What happens to undone commits when a branch moves on
+     *   after an undo. `'drop'` forgets them; `'keep'` keeps them reachable on a `redo/<branch>/<n>` redo ref, numbered
+     *   from 1. Redo refs are not branches: they can be checked out by name and are listed by `listRedoRefs()`.
+     * @param {number} [options.redoRefLimit=10] - The maximum number of redo refs kept per branch; the oldest go first.
+     * @param {StorageAdapter} [options.adapter] - A storage adapter that `save()` writes to.
+     * @param {boolean} [options.autosave=false] - Save to the adapter after every operation that changes refs.
+     * @param {number} [options.reflogLimit=100] - The maximum number of reflog entries kept per ref.
+     * @param {string|{name: string, email: string}} [options.author] - The identity recorded as the author of new
+     *   commits, either as an object or as a `'Name <email>'` string.
+     * @param {string|{name: string, email: string}} [options.committer] - The identity recorded as the committer of
+     *   new commits, for when it differs from the author (for example a service applying other people's changes).
+     * @param {Object|function(*): (boolean|string|Array<string>|void)} [options.schema] - Validates data before it is
+     *   committed, merged or imported. Either a JSON Schema subset (`type`, `properties`, `required`,
+     *   `additionalProperties`, `items`, `enum`, `const`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`,
+     *   `minItems`, `maxItems`) or a function returning `true` (or nothing) for valid data and `false` or error
+     *   messages otherwise.
+     * @param {number} [options.schemaVersion] - The current version of the data model, recorded on new commits.
+     *   Commits without a recorded version count as version 1.
+     * @param {Object<number, function(*): *>} [options.migrations] - Upgrade functions by target version: `migrations[3]`
+     *   turns version 2 data into version 3 data. Data read with `getData()`, `getCommit()` or `checkout()` is
+     *   upgraded to `schemaVersion` on the fly.
+     * @param {boolean} [options.immutable=false] - Keep commit data deep-frozen and share unchanged subtrees between
+     *   commits. `getData()`, `getCommit()`, `checkout()` and `stashApply()` then return the stored data itself
+     *   instead of a copy. Build the next version by copying only what changes (`{ ...data, title }`); parts
+     *   taken from a snapshot are stored without being copied again. Maps, Sets, Dates and typed arrays can't be
+     *   frozen, so they must not be modified in place.
+     * @param {function(): (Date|number|string)} [options.clock] - Returns the current time, which timestamps commits,
+     *   tags, stashes and reflog entries and drives `coalesceWindow`. Defaults to the system clock; inject one
+     *   to control time in tests and replays.
      */
-    constructor(initialData = null) {
+    constructor(initialData = null, options = {}) {
+      /** @private */
+      this.options = Object.assign({
+        storage: 'snapshot',
+        keyframeInterval: 20,
+        undoDepth: 100,
+        coalesceWindow: 0,
+        redoPolicy: 'drop',
+        redoRefLimit: 10,
+        adapter: null,
+        autosave: false,
+        reflogLimit: 100,
+        author: null,
+        committer: null,
+        schema: null,
+        schemaVersion: null,
+        migrations: {},
+        immutable: false,
+        clock: () => new Date()
+      }, options);
       /** @private */
       this.commits = {};
       /** @private */
@@ -24,737 +107,6526 @@ class VersionControl {
       /** @private */
       this.currentBranch = 'main';
       /** @private */
+      this.tags = {};
+      /** @private */
+      this.reflogs = {};
+      /** @private */
+      this.remotes = {};
+      /** @private */
       this.HEAD = null;
+      /** @private */
+      this.listeners = {};
+      /** @private */
+      this.redoStacks = {};
+      /** @private */
+      this.redoRefs = {};
+      /** @private */
+      this.lastCommitId = null;
+      /** @private */
+      this.unsavedCommits = new Set();
+      /** @private */
+      this.unsavedRefs = new Set();
+      /** @private */
+      this.deletedCommits = new Set();
+      /** @private */
+      this.activeTransaction = null;
+      /** @private */
+      this.rebaseState = null;
+      /** @private */
+      this.bisectState = null;
+      /** @private */
+      this.activeWorkingCopy = null;
+      /** @private */
+      this.frozenValues = new WeakSet();
+      /** @private */
+      this.timelines = new Map();
       
       if (initialData !== null) {
         this.commit(initialData, 'Initial commit');
       }
     }
   
+    /**
+     * Registers a listener for an event.
+     *
+     * After-events are emitted once an operation has changed the state, with the old and new refs:
+     * `commit`, `checkout`, `switchBranch`, `branch`, `revert`, `merge`, `squash`, `rebase`, `pull`,
+     * `push` (a push received through `handleSyncRequest()`), `stashPop` and `transaction` receive `{ operation, oldHead, newHead, oldBranch, newBranch, ... }`, and
+     * `ref-update` receives `{ ref, oldId, newId, operation }` for every branch that moves.
+     *
+     * Pre-hooks run before an operation changes anything. A pre-hook rejects the operation by returning
+     * `false` or throwing. `pre-commit` receives `{ data, message, branch, parent, author, metadata }` and may
+     * replace `data`, `message`, `author` or `metadata` on that object to transform the commit. `pre-checkout` receives
+     * `{ target, oldHead, newHead, oldBranch, newBranch }` and `pre-ref-update` receives
+     * `{ ref, oldId, newId, operation }`.
+     *
+     * @param {string} event - The event name.
+     * @param {Function} handler - The listener.
+     * @returns {VersionControl} This instance, for chaining.
+     */
+    on(event, handler) {
+      if (!this.listeners[event]) this.listeners[event] = [];
+      this.listeners[event].push(handler);
+      return this;
+    }
+  
+    /**
+     * Removes a listener registered with `on()`.
+     *
+     * @param {string} event - The event name.
+     * @param {Function} handler - The listener to remove.
+     * @returns {VersionControl} This instance, for chaining.
+     */
+    off(event, handler) {
+      const handlers = this.listeners[event];
+      if (handlers) {
+        this.listeners[event] = handlers.filter(h => h !== handler);
+      }
+      return this;
+    }
+  
     /**
      * Creates a new commit with the given data and message.
+     * On a branch, the branch moves to the new commit. With a detached HEAD, only HEAD moves: the new
+     * commit is reachable from HEAD alone until a branch is created for it with `branch()`.
      *
      * @param {*} data - The data to store in the commit.
      * @param {string} [message='Update'] - The commit message.
+     * @param {Object} [options={}] - Commit options.
+     * @param {string|{name: string, email: string}} [options.author] - The author of this commit, overriding the instance's `author` option.
+     * @param {Object} [options.metadata] - Arbitrary JSON metadata stored with the commit and covered by its ID.
      * @returns {string} The ID of the newly created commit.
+     * @throws {Error} If a `pre-commit` or `pre-ref-update` hook rejects the commit, or the data fails schema validation.
      */
-    commit(data, message = 'Update') {
-      const commitId = this._generateCommitId();
-      const timestamp = new Date().toISOString();
-      
-      const commit = {
-        id: commitId,
-        data: this._deepClone(data),
+    commit(data, message = 'Update', options = {}) {
+      const coalesce = this._shouldCoalesce();
+      const parents = coalesce ? this._parentsOf(this._loadCommit(this.HEAD)) : (this.HEAD ? [this.HEAD] : []);
+      const hook = {
+        data,
         message,
-        timestamp,
-        parent: this.HEAD,
-        branch: this.currentBranch
+        branch: this.currentBranch,
+        parent: parents[0] || null,
+        author: this._parseIdentity(options.author || this.options.author),
+        metadata: options.metadata || null
       };
+      this._runHook('pre-commit', hook);
+      this._validate(hook.data);
       
-      this.commits[commitId] = commit;
-      this.HEAD = commitId;
-      this.branches[this.currentBranch] = commitId;
+      const extra = {};
+      if (hook.author) extra.author = hook.author;
+      if (hook.metadata) extra.metadata = this._deepClone(hook.metadata);
+      
+      const before = this._refState();
+      const commitId = this._createCommit(hook.data, hook.message, parents, extra);
+      
+      this._advance(commitId, 'commit');
+      this.lastCommitId = commitId;
+      this._emitChange('commit', before, { commitId, coalesced: coalesce });
       
       return commitId;
     }
   
     /**
-     * Gets the data from the commit at the current HEAD.
+     * Runs several operations as one unit. Events emitted inside the transaction are held back and
+     * delivered as a single `transaction` event, and autosave waits until the end. If `fn` throws, or the
+     * promise it returns rejects, every commit, ref, tag, reflog and stash change it made is rolled back.
+     * A transaction started from inside another one's callback, before the callback's first `await`, simply
+     * joins it. Starting a transaction while an asynchronous one is still pending is rejected; other
+     * operations made in the meantime become part of the pending transaction, so await it first.
+     *
+     * With `squash`, the commits added to the current branch are collapsed into a single commit on top of
+     * the previous HEAD. Refs left pointing at intermediate commits keep them.
      *
-     * @returns {*} A deep clone of the data at the current HEAD, or null if there are no commits.
+     * @param {function(VersionControl): *} fn - The operations to run. It receives this instance and may be async.
+     * @param {Object} [options={}] - Transaction options.
+     * @param {boolean} [options.squash=false] - Collapse the new commits on the current branch into one.
+     * @param {string} [options.message] - The message of the collapsed commit. Defaults to the collapsed messages, one per line.
+     * @returns {*} What `fn` returns, or a promise for it if `fn` is async.
+     * @throws {Error} Whatever `fn` throws, after rolling back, or if another transaction is still pending.
      */
-    getData() {
-      if (!this.HEAD) return null;
-      return this._deepClone(this.commits[this.HEAD].data);
+    transaction(fn, options = {}) {
+      if (this.activeTransaction) {
+        if (!this.activeTransaction.running) {
+          throw new Error('Another transaction is still pending; wait for it to finish first');
+        }
+        return fn(this);
+      }
+      
+      const snapshot = this._snapshotState();
+      const before = this._refState();
+      this.activeTransaction = { events: [], running: true };
+      
+      const rollback = error => {
+        this._restoreState(snapshot);
+        this.activeTransaction = null;
+        throw error;
+      };
+      const complete = value => {
+        let commitId = null;
+        try {
+          if (options.squash) commitId = this._collapseTransaction(snapshot, options.message);
+        } catch (error) {
+          rollback(error);
+        }
+        const events = this.activeTransaction.events;
+        this.activeTransaction = null;
+        this._emitChange('transaction', before, { events, commitId });
+        return value;
+      };
+      
+      let result;
+      try {
+        result = fn(this);
+      } catch (error) {
+        rollback(error);
+      }
+      this.activeTransaction.running = false;
+      
+      if (result && typeof result.then === 'function') {
+        return result.then(complete, rollback);
+      }
+      return complete(result);
     }
   
     /**
-     * Retrieves the data from a specific commit.
+     * Undoes the last change on the current branch by moving the branch back to the parent of HEAD.
+     * The undone commit is kept on a redo stack until the branch moves on by other means.
      *
-     * @param {string} commitId - The ID of the commit to retrieve.
-     * @returns {*} A deep clone of the data from the specified commit.
-     * @throws {Error} If the commit with the given ID is not found.
+     * @returns {*} The data at the new HEAD.
+     * @throws {Error} If there is nothing to undo.
      */
-    getCommit(commitId) {
-      const commit = this.commits[commitId];
-      if (!commit) throw new Error(`Commit ${commitId} not found`);
-      return this._deepClone(commit.data);
+    undo() {
+      if (!this.canUndo()) {
+        throw new Error('Nothing to undo');
+      }
+      
+      const before = this._refState();
+      const undone = this.HEAD;
+      
+      this._advance(this._loadCommit(undone).parent, 'undo');
+      this._redoStack(this.currentBranch).push(undone);
+      this.lastCommitId = null;
+      this._emitChange('undo', before, { commitId: undone });
+      
+      return this.getData();
     }
   
     /**
-     * Checks out a specific branch or commit.
+     * Re-applies the most recently undone commit on the current branch.
      *
-     * @param {string} target - The name of the branch or the ID of the commit to check out.
      * @returns {*} The data at the new HEAD.
-     * @throws {Error} If the branch or commit is not found.
+     * @throws {Error} If there is nothing to redo.
      */
-    checkout(target) {
-      if (this.branches[target]) {
-        this.currentBranch = target;
-        this.HEAD = this.branches[target];
-        return this.getData();
+    redo() {
+      if (!this.canRedo()) {
+        throw new Error('Nothing to redo');
       }
       
-      if (this.commits[target]) {
-        this.HEAD = target;
-        // Note: This results in a "detached HEAD" state, as we're not on a branch.
-        // For simplicity, we don't explicitly handle this state differently here.
-        return this.getData();
-      }
+      const before = this._refState();
+      const redone = this.redoStacks[this.currentBranch].pop();
+      
+      this._advance(redone, 'redo');
+      this._emitChange('redo', before, { commitId: redone });
       
-      throw new Error(`Branch or commit '${target}' not found`);
+      return this.getData();
     }
   
     /**
-     * Creates a new branch from the current HEAD.
+     * Checks whether `undo()` can be called.
      *
-     * @param {string} branchName - The name for the new branch.
-     * @returns {string} The name of the created branch.
-     * @throws {Error} If a branch with the same name already exists.
+     * @returns {boolean} `true` if HEAD has a parent and the undo depth has not been reached.
      */
-    branch(branchName) {
-      if (this.branches[branchName]) {
-        throw new Error(`Branch '${branchName}' already exists`);
-      }
-      
-      this.branches[branchName] = this.HEAD;
-      return branchName;
+    canUndo() {
+      if (this.isDetached() || !this.HEAD || !this._loadCommit(this.HEAD).parent) return false;
+      return this._redoStack(this.currentBranch).length < this.options.undoDepth;
     }
   
     /**
-     * Switches to a branch. If the branch doesn't exist, it is created.
+     * Checks whether `redo()` can be called.
      *
-     * @param {string} branchName - The name of the branch to switch to or create.
+     * @returns {boolean} `true` if there is an undone commit to re-apply on the current branch.
      */
-    switchBranch(branchName) {
-      if (!this.branches[branchName]) {
-        this.branch(branchName);
-      }
-      this.currentBranch = branchName;
-      this.HEAD = this.branches[branchName];
+    canRedo() {
+      return !this.isDetached() && this._redoStack(this.currentBranch).length > 0;
     }
   
     /**
-     * Gets the commit history starting from the current HEAD.
+     * Lists the redo refs kept by the `'keep'` redo policy, oldest first for each branch.
      *
-     * @param {number} [limit=10] - The maximum number of commits to return.
-     * @returns {Array<Object>} An array of commit objects, each containing id, message, timestamp, and branch.
+     * @returns {Array<Object>} An array of redo ref objects, each with name (`redo/<branch>/<n>`), branch and HEAD commit ID.
      */
-    log(limit = 10) {
-      const history = [];
-      let current = this.HEAD;
-      let count = 0;
-      
-      while (current && count < limit) {
-        const commit = this.commits[current];
-        history.push({
-          id: commit.id,
-          message: commit.message,
-          timestamp: commit.timestamp,
-          branch: commit.branch
-        });
-        current = commit.parent;
-        count++;
-      }
-      
-      return history;
+    listRedoRefs() {
+      return Object.keys(this.redoRefs).map(name => ({
+        name,
+        branch: name.slice('redo/'.length, name.lastIndexOf('/')),
+        head: this.redoRefs[name]
+      }));
     }
   
     /**
-     * Computes the difference between the data of two commits.
+     * Deletes redo refs, so that `gc()` can collect the undone commits only they kept.
      *
-     * @param {string} commitId1 - The first commit ID.
-     * @param {string} commitId2 - The second commit ID.
-     * @returns {Object} An object with `added`, `removed`, and `modified` properties.
+     * @param {string} [branchName] - Only delete the redo refs of this branch. Deletes all of them if omitted.
+     * @returns {number} The number of redo refs deleted.
      */
-    diff(commitId1, commitId2) {
-      const data1 = this.getCommit(commitId1);
-      const data2 = this.getCommit(commitId2);
-      
-      return this._generateDiff(data1, data2);
+    deleteRedoRefs(branchName) {
+      const names = this.listRedoRefs()
+        .filter(ref => branchName === undefined || ref.branch === branchName)
+        .map(ref => ref.name);
+      names.forEach(name => delete this.redoRefs[name]);
+      if (names.length > 0) this._autosave();
+      return names.length;
     }
   
     /**
-     * Reverts to a specific commit by creating a new commit with the data of the specified commit.
+     * Gets the data from the commit at the current HEAD.
      *
-     * @param {string} commitId - The ID of the commit to revert to.
-     * @returns {string} The ID of the new revert commit.
+     * @returns {*} A deep clone of the data at the current HEAD, upgraded to the current schema version, or null if there are no commits.
      */
-    revert(commitId) {
-      const data = this.getCommit(commitId);
-      return this.commit(data, `Revert to ${commitId.substring(0, 7)}`);
+    getData() {
+      if (!this.HEAD) return null;
+      return this._readCurrent(this.HEAD);
     }
   
     /**
-     * Lists all branches.
+     * Retrieves the data from a specific commit.
      *
-     * @returns {Array<Object>} An array of branch objects, each with name, current status, and HEAD commit ID.
+     * @param {string} commitId - The ID of the commit to retrieve.
+     * @returns {*} A deep clone of the data from the specified commit, upgraded to the current schema version.
+     * @throws {Error} If the commit with the given ID is not found.
      */
-    listBranches() {
-      return Object.keys(this.branches).map(name => ({
-        name,
-        current: name === this.currentBranch,
-        head: this.branches[name]
-      }));
+    getCommit(commitId) {
+      const resolved = this._resolveRef(commitId);
+      if (!this._loadCommit(resolved)) throw new Error(`Commit ${commitId} not found`);
+      return this._readCurrent(resolved);
     }
   
     /**
-     * Creates an independent copy of the version control system.
+     * Checks out a specific branch, tag or commit.
+     * Checking out a branch makes it the current branch. Checking out a tag or commit detaches HEAD:
+     * `isDetached()` returns `true` and new commits only move HEAD until a branch is created.
      *
-     * @param {string} [forkName=null] - If provided, a new branch with this name is created in the forked instance.
-     * @returns {VersionControl} A new `VersionControl` instance with a complete copy of the history.
+     * @param {string} target - The name of the branch or tag, or the ID of the commit to check out.
+     * @returns {*} The data at the new HEAD.
+     * @throws {Error} If the branch, tag or commit is not found.
      */
-    fork(forkName = null) {
-      const forked = new VersionControl();
+    checkout(target) {
+      const before = this._refState();
       
-      forked.commits = this._deepClone(this.commits);
-      forked.branches = this._deepClone(this.branches);
-      forked.currentBranch = this.currentBranch;
-      forked.HEAD = this.HEAD;
+      if (this.branches[target] !== undefined) {
+        this._runHook('pre-checkout', this._checkoutHook(target, this.branches[target], target));
+        this.currentBranch = target;
+        this._setHead(this.branches[target], 'checkout');
+        this._emitChange('checkout', before, { target });
+        return this.getData();
+      }
       
-      if (forkName && this.HEAD) {
-        const forkCommitId = forked.commit(
-          forked.getData(),
-          `Forked from ${this.currentBranch} as ${forkName}`
-        );
-        
-        forked.branches[forkName] = forkCommitId;
-        forked.currentBranch = forkName;
+      const commitId = this._resolveRef(target);
+      if (this._loadCommit(commitId)) {
+        this._runHook('pre-checkout', this._checkoutHook(target, commitId, null));
+        this._setHead(commitId, 'checkout');
+        this.currentBranch = null;
+        this._emitChange('checkout', before, { target });
+        return this.getData();
       }
       
-      return forked;
+      throw new Error(`Branch, tag or commit '${target}' not found`);
     }
   
     /**
-     * Merges changes from another `VersionControl` instance into this one.
-     * This implementation uses a simple merge by creating a merge commit with the data from the other instance's HEAD.
+     * Checks whether HEAD is detached, i.e. points at a commit without being on a branch.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance to merge from.
-     * @param {string} [branchName='merged'] - A name to identify the source of the merge.
-     * @returns {string} The ID of the merge commit.
-     * @throws {Error} If the other `VersionControl` instance is invalid.
+     * @returns {boolean} `true` if HEAD is detached.
      */
-    merge(otherVC, branchName = 'merged') {
-      if (!otherVC || !otherVC.HEAD) {
-        throw new Error('Cannot merge empty version control');
-      }
+    isDetached() {
+      return this.currentBranch === null;
+    }
   
-      for (const commitId in otherVC.commits) {
-        if (!this.commits[commitId]) {
-          this.commits[commitId] = this._deepClone(otherVC.commits[commitId]);
-        }
+    /**
+     * Creates a tag pointing at a commit. A tag with a message is an annotated tag, which also records when it was created.
+     *
+     * @param {string} tagName - The name for the new tag.
+     * @param {string} [target='HEAD'] - The branch, tag or commit ID to tag.
+     * @param {string} [message=null] - The message of an annotated tag. Omit it for a lightweight tag.
+     * @returns {string} The name of the created tag.
+     * @throws {Error} If the tag already exists or the target is not found.
+     */
+    tag(tagName, target = 'HEAD', message = null) {
+      if (this.tags[tagName]) {
+        throw new Error(`Tag '${tagName}' already exists`);
       }
-  
-      const otherData = otherVC.getData();
       
-      const mergeCommitId = this.commit(
-        otherData,
-        `Merge from ${branchName}`
-      );
+      const commitId = this._resolveRef(target);
+      if (!this._loadCommit(commitId)) {
+        throw new Error(`Branch, tag or commit '${target}' not found`);
+      }
       
-      return mergeCommitId;
+      this.tags[tagName] = message === null
+        ? { target: commitId, annotated: false }
+        : { target: commitId, annotated: true, message, timestamp: this._now().toISOString() };
+      
+      this._emitChange('tag', this._refState(), { name: tagName, target: commitId });
+      return tagName;
     }
   
     /**
-     * Applies a specific commit from another `VersionControl` instance to the current branch.
+     * Lists all tags.
      *
-     * @param {VersionControl} otherVC - The source `VersionControl` instance.
-     * @param {string} commitId - The ID of the commit to cherry-pick.
-     * @returns {string} The ID of the new commit.
-     * @throws {Error} If the commit is not found in the source.
+     * @returns {Array<Object>} An array of tag objects, each with name, target commit ID, whether it is annotated,
+     *   and for annotated tags the message and timestamp.
      */
-    cherryPick(otherVC, commitId) {
-      const commit = otherVC.commits[commitId];
-      if (!commit) {
-        throw new Error(`Commit ${commitId} not found in source`);
-      }
+    listTags() {
+      return Object.keys(this.tags).map(name => Object.assign({ name }, this.tags[name]));
+    }
   
-      return this.commit(
-        commit.data,
-        `Cherry-pick: ${commit.message} (${commitId.substring(0, 7)})`
-      );
+    /**
+     * Deletes a tag.
+     *
+     * @param {string} tagName - The name of the tag to delete.
+     * @returns {boolean} `true` once the tag is deleted.
+     * @throws {Error} If the tag is not found.
+     */
+    deleteTag(tagName) {
+      const tag = this.tags[tagName];
+      if (!tag) {
+        throw new Error(`Tag '${tagName}' not found`);
+      }
+      
+      delete this.tags[tagName];
+      this._emitChange('deleteTag', this._refState(), { name: tagName, target: tag.target });
+      return true;
     }
   
     /**
-     * Gets metadata about the fork, such as commit count and branch information.
+     * Gets the reflog of a ref: every recorded movement of HEAD or a branch, newest first.
+     * The entry at index `n` is what `ref@{n}` resolves to, so `main@{0}` is the current tip of `main`
+     * and `main@{1}` is where it pointed before its last move.
      *
-     * @returns {Object} An object containing fork metadata.
+     * @param {string} [ref='HEAD'] - `HEAD` or a branch name.
+     * @returns {Array<Object>} An array of entries, each with index, oldId, newId, operation and timestamp.
      */
-    getForkInfo() {
-      return {
-        totalCommits: Object.keys(this.commits).length,
-        branches: Object.keys(this.branches),
-        currentBranch: this.currentBranch,
-        HEAD: this.HEAD,
-        latestCommit: this.HEAD ? this.commits[this.HEAD] : null
-      };
+    reflog(ref = 'HEAD') {
+      const entries = this.reflogs[ref] || [];
+      return entries.slice().reverse().map((entry, index) => Object.assign({ index }, entry));
     }
   
     /**
-     * Finds the most recent common ancestor commit between this and another `VersionControl` instance.
+     * Creates a new branch. It starts at the current HEAD unless another start point is given.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance.
-     * @returns {Object|null} An object with the common ancestor's commit ID, data, and timestamp, or null if no common ancestor is found.
+     * @param {string} branchName - The name for the new branch.
+     * @param {string} [startPoint='HEAD'] - The commit ID, tag or branch the new branch starts at.
+     * @returns {string} The name of the created branch.
+     * @throws {Error} If a branch with the same name already exists or the start point is not found.
      */
-    findCommonAncestor(otherVC) {
-      const myCommits = new Set(Object.keys(this.commits));
-      const theirCommits = Object.keys(otherVC.commits);
+    branch(branchName, startPoint = 'HEAD') {
+      if (this.branches[branchName] !== undefined) {
+        throw new Error(`Branch '${branchName}' already exists`);
+      }
       
-      const commonCommits = theirCommits.filter(id => myCommits.has(id));
+      const commitId = this._resolveRef(startPoint);
+      if (startPoint !== 'HEAD' && !this._loadCommit(commitId)) {
+        throw new Error(`Branch, tag or commit '${startPoint}' not found`);
+      }
       
-      if (commonCommits.length === 0) {
-        return null;
+      this._updateRef(branchName, commitId, 'branch');
+      this._emitChange('branch', this._refState(), { name: branchName, target: commitId });
+      return branchName;
+    }
+  
+    /**
+     * Deletes a branch. Stash entries made on the branch keep their commit but no longer name a branch.
+     *
+     * @param {string} branchName - The name of the branch to delete.
+     * @param {Object} [options={}] - Delete options.
+     * @param {boolean} [options.force=false] - Delete the branch even if its commits aren't reachable from any other branch, tag or HEAD.
+     * @returns {string|null} The commit ID the branch pointed to, which can be used to recreate it.
+     * @throws {Error} If the branch is not found, is the current branch, or has unmerged commits and `force` is not set.
+     */
+    deleteBranch(branchName, options = {}) {
+      if (this.branches[branchName] === undefined) {
+        throw new Error(`Branch '${branchName}' not found`);
+      }
+      if (branchName === this.currentBranch) {
+        throw new Error(`Cannot delete the current branch '${branchName}'`);
       }
       
-      let current = this.HEAD;
-      while (current) {
-        if (otherVC.commits[current]) {
-          return {
-            commitId: current,
-            commit: this.commits[current],
-            divergedAt: this.commits[current].timestamp
-          };
-        }
-        current = this.commits[current].parent;
+      const head = this.branches[branchName];
+      if (head && !options.force && !this._isMerged(head, branchName)) {
+        throw new Error(`Branch '${branchName}' has unmerged commits; use { force: true } to delete it anyway`);
       }
       
-      return null;
+      this._deleteRef(branchName, 'deleteBranch');
+      for (const stash of this.stashStack || []) {
+        if (stash.branch === branchName) stash.branch = null;
+      }
+      
+      this._emitChange('deleteBranch', this._refState(), { name: branchName, target: head });
+      return head;
     }
   
     /**
-     * Gets the commits that are in this instance but not in another, starting from the common ancestor.
+     * Renames a branch. The current branch, redo history and stash entries follow the new name.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance.
-     * @returns {Array<Object>} An array of commits ahead of the other instance.
+     * @param {string} oldName - The current name of the branch.
+     * @param {string} newName - The new name for the branch.
+     * @returns {string} The new name of the branch.
+     * @throws {Error} If the branch is not found or a branch named `newName` already exists.
      */
-    getAheadCommits(otherVC) {
-      const ancestor = this.findCommonAncestor(otherVC);
-      if (!ancestor) return this.log(Infinity); // Return all if no common ancestor
+    renameBranch(oldName, newName) {
+      if (this.branches[oldName] === undefined) {
+        throw new Error(`Branch '${oldName}' not found`);
+      }
+      if (this.branches[newName] !== undefined) {
+        throw new Error(`Branch '${newName}' already exists`);
+      }
       
-      const aheadCommits = [];
-      let current = this.HEAD;
+      const before = this._refState();
+      const redoStack = this.redoStacks[oldName];
       
-      while (current && current !== ancestor.commitId) {
-        aheadCommits.push(this.commits[current]);
-        current = this.commits[current].parent;
+      this._updateRef(newName, this.branches[oldName], 'renameBranch');
+      try {
+        this._deleteRef(oldName, 'renameBranch');
+      } catch (error) {
+        delete this.branches[newName];
+        throw error;
       }
       
-      return aheadCommits;
+      if (redoStack) this.redoStacks[newName] = redoStack;
+      if (this.reflogs[oldName]) {
+        this.reflogs[newName] = this.reflogs[oldName].concat(this.reflogs[newName] || []);
+        delete this.reflogs[oldName];
+      }
+      if (this.currentBranch === oldName) this.currentBranch = newName;
+      for (const stash of this.stashStack || []) {
+        if (stash.branch === oldName) stash.branch = newName;
+      }
+      
+      this._emitChange('renameBranch', before, { oldName, name: newName });
+      return newName;
     }
   
     /**
-     * Gets the commits that are in another instance but not in this one.
+     * Switches to a branch. If the branch doesn't exist, it is created.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance.
-     * @returns {Array<Object>} An array of commits this instance is behind.
+     * @param {string} branchName - The name of the branch to switch to or create.
      */
-    getBehindCommits(otherVC) {
-      return otherVC.getAheadCommits(this);
+    switchBranch(branchName) {
+      const before = this._refState();
+      const exists = this.branches[branchName] !== undefined;
+      this._runHook('pre-checkout', this._checkoutHook(branchName, exists ? this.branches[branchName] : this.HEAD, branchName));
+      
+      if (!exists) {
+        this.branch(branchName);
+      }
+      this.currentBranch = branchName;
+      this._setHead(this.branches[branchName], 'switchBranch');
+      this._emitChange('switchBranch', before, { target: branchName });
     }
   
     /**
-     * Compares this instance with another to check for divergence.
+     * Gets the commit history, walking every parent of merge commits.
+     * By default the history of HEAD is returned. A commit is never listed before one of its children,
+     * even if its timestamp is newer.
+     * A number may be passed instead of options as the `limit`.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance.
-     * @returns {Object} An object detailing the comparison, including common ancestor, ahead/behind counts, and whether a fast-forward is possible.
+     * @param {Object|number} [options={}] - Log options, or the maximum number of commits to return.
+     * @param {string} [options.ref='HEAD'] - The branch, tag or commit to start from.
+     * @param {Array<string>} [options.branches] - Start from several branches, tags or commits instead.
+     * @param {boolean} [options.all=false] - Start from HEAD, every branch, tag and remote-tracking branch.
+     * @param {Date|string|number} [options.since] - Only commits made at or after this time.
+     * @param {Date|string|number} [options.until] - Only commits made at or before this time.
+     * @param {('topo'|'date')} [options.order='topo'] - `'topo'` keeps each line of development together, like
+     *   `git log --topo-order`; `'date'` otherwise lists the newest commit first, like `git log --date-order`.
+     * @param {boolean} [options.firstParent=false] - Only follow the first parent of merge commits.
+     * @param {number} [options.limit=10] - The maximum number of commits to return.
+     * @returns {Array<Object>} An array of commit objects, each containing id, message, timestamp, branch and
+     *   parents, plus author, committer, metadata and `authorTimestamp` when the commit has them.
+     * @throws {Error} If a start point is not found.
      */
-    compareForks(otherVC) {
-      const ancestor = this.findCommonAncestor(otherVC);
-      const ahead = this.getAheadCommits(otherVC);
-      const behind = this.getBehindCommits(otherVC);
+    log(options = {}) {
+      if (typeof options === 'number') options = { limit: options };
+      const limit = options.limit === undefined ? 10 : options.limit;
       
-      return {
-        commonAncestor: ancestor,
-        ahead: ahead.length,
-        behind: behind.length,
-        aheadCommits: ahead,
-        behindCommits: behind,
-        diverged: ahead.length > 0 && behind.length > 0,
-        canFastForward: ahead.length === 0 && behind.length > 0
-      };
+      return this._walkHistory(this._historyRoots(options), Object.assign({}, options, { limit }))
+        .map(commit => this._logEntry(commit));
     }
   
     /**
-     * Rebases the current branch's commits on top of another `VersionControl` instance's HEAD.
+     * Describes the shape of the commit graph, for drawing branches and merges.
+     * Takes the same selection options as `log()`, but shows every branch by default. Each node has a
+     * `column` so that lines of development keep their lane, and `refs` with the branches and tags
+     * pointing at it. With `format: 'ascii'` the graph is rendered as text, like `git log --graph --oneline`.
      *
-     * @param {VersionControl} targetVC - The target `VersionControl` instance to rebase onto.
-     * @returns {Object} An object indicating the success of the rebase and the number of replayed commits.
+     * @param {Object} [options={}] - Graph options. See `log()` for the selection options.
+     * @param {boolean} [options.all=true] - Start from HEAD, every branch, tag and remote-tracking branch,
+     *   unless `ref` or `branches` is given.
+     * @param {number} [options.limit=Infinity] - The maximum number of commits to include.
+     * @param {('object'|'ascii')} [options.format='object'] - The output format.
+     * @returns {Object|string} An object with `nodes` (children before parents, in `order`) and `edges`
+     *   (`{ from, to, index }` from a commit to its `index`-th parent), or the ASCII rendering.
+     * @throws {Error} If a start point is not found.
      */
-    rebase(targetVC) {
-      const comparison = this.compareForks(targetVC);
+    graph(options = {}) {
+      const selection = Object.assign({
+        all: options.ref === undefined && options.branches === undefined
+      }, options);
+      const commits = this._walkHistory(this._historyRoots(selection), selection);
+      const included = new Set(commits.map(commit => commit.id));
+      const labels = this._refLabels();
       
-      if (!comparison.diverged) {
-        return { success: true, message: 'Already up to date' };
-      }
+      const nodes = commits.map(commit => {
+        const parents = this._parentsOf(commit).slice(0, options.firstParent ? 1 : undefined);
+        return Object.assign(this._logEntry(commit), {
+          parents: parents.filter(parent => included.has(parent)),
+          refs: labels.get(commit.id) || []
+        });
+      });
+      const layout = this._layoutGraph(nodes);
       
-      this.HEAD = targetVC.HEAD;
-      this.currentBranch = targetVC.currentBranch;
+      if (options.format === 'ascii') {
+        return layout.lines.join('\n');
+      }
       
-      for (const commitId in targetVC.commits) {
-        if (!this.commits[commitId]) {
-          this.commits[commitId] = this._deepClone(targetVC.commits[commitId]);
+      const edges = [];
+      nodes.forEach((node, i) => {
+        node.column = layout.columns[i];
+        node.parents.forEach((parent, index) => edges.push({ from: node.id, to: parent, index }));
+      });
+      return { nodes, edges };
+    }
+  
+    /**
+     * Searches the history for commits matching all of the given criteria.
+     * Commits reachable from any branch, tag or HEAD are searched, newest first.
+     *
+     * @param {Object} [criteria={}] - The search criteria. Omitted criteria match every commit.
+     * @param {string} [criteria.author] - The author's name, email or `'Name <email>'`.
+     * @param {string} [criteria.committer] - The committer's name, email or `'Name <email>'`.
+     * @param {Date|string|number} [criteria.since] - Only commits made at or after this time.
+     * @param {Date|string|number} [criteria.until] - Only commits made at or before this time.
+     * @param {string|RegExp} [criteria.message] - Text the message contains (case-insensitive), or a pattern it matches.
+     * @param {string} [criteria.branch] - Only commits reachable from this branch, tag or commit.
+     * @param {string} [criteria.path] - Only commits that change data at this dot path. `*` matches one path
+     *   segment and `**` any number of them, so `'user.profile.*'` matches changes anywhere under `user.profile`.
+     * @param {Object} [criteria.metadata] - Only commits whose metadata has all of these key/value pairs.
+     * @param {number} [criteria.limit=Infinity] - The maximum number of commits to return.
+     * @returns {Array<Object>} Matching commits, in the same format as `log()`.
+     * @throws {Error} If the branch is not found.
+     */
+    query(criteria = {}) {
+      let roots = this._gcRoots(false);
+      if (criteria.branch !== undefined) {
+        const resolved = this._resolveRef(criteria.branch);
+        if (!this._loadCommit(resolved)) {
+          throw new Error(`Branch ${criteria.branch} not found`);
         }
+        roots = [resolved];
       }
       
-      const aheadCommits = comparison.aheadCommits.reverse();
-      const replayedCommits = [];
+      const since = criteria.since !== undefined ? new Date(criteria.since).getTime() : -Infinity;
+      const until = criteria.until !== undefined ? new Date(criteria.until).getTime() : Infinity;
+      const message = typeof criteria.message === 'string' ? criteria.message.toLowerCase() : criteria.message;
       
-      for (const commit of aheadCommits) {
-        const newId = this.commit(commit.data, `${commit.message} (rebased)`);
-        replayedCommits.push(newId);
+      const commits = this._walkHistory(roots, { order: 'date' });
+      const results = [];
+      const limit = criteria.limit === undefined ? Infinity : criteria.limit;
+      
+      for (const commit of commits) {
+        if (results.length >= limit) break;
+        
+        const time = new Date(commit.timestamp).getTime();
+        if (time < since || time > until) continue;
+        if (criteria.author && !this._identityMatches(commit.author, criteria.author)) continue;
+        if (criteria.committer && !this._identityMatches(commit.committer, criteria.committer)) continue;
+        if (typeof message === 'string' && !commit.message.toLowerCase().includes(message)) continue;
+        if (message instanceof RegExp && !message.test(commit.message)) continue;
+        if (criteria.metadata) {
+          const metadata = commit.metadata || {};
+          const matches = Object.keys(criteria.metadata).every(key =>
+            this._canonicalize(metadata[key]) === this._canonicalize(criteria.metadata[key]));
+          if (!matches) continue;
+        }
+        if (criteria.path !== undefined) {
+          const parentData = commit.parent ? this._readData(commit.parent) : null;
+          const changed = this._changedPaths(this._generateDiff(parentData, this._readData(commit.id)));
+          if (![...changed.keys()].some(path => this._pathMatches(criteria.path, path))) continue;
+        }
+        
+        results.push(this._logEntry(commit));
       }
       
-      return {
-        success: true,
-        message: 'Rebase successful',
-        replayedCommits: replayedCommits.length
-      };
+      return results;
     }
   
     /**
-     * Squashes a number of recent commits into a single new commit.
+     * Reports which commit last changed each value in the data at HEAD.
+     * Every leaf value under the path is traced back through history to the commit that introduced it.
+     * Through a merge, the change is attributed to whichever parent already had the value.
      *
-     * @param {number} commitCount - The number of commits from HEAD to squash.
-     * @param {string} [message='Squashed commits'] - The message for the new squashed commit.
-     * @returns {string} The ID of the new squashed commit.
-     * @throws {Error} If there are not enough commits to squash.
+     * @param {string} [path=''] - A dot path to limit the report to. Defaults to the whole data.
+     * @param {string} [ref='HEAD'] - The branch, tag or commit to start from.
+     * @returns {Object<string, Object>} A map from each leaf path to the commit that last changed it, in the same format as `log()`.
+     * @throws {Error} If the ref or the path is not found.
      */
-    squash(commitCount, message = 'Squashed commits') {
-      const history = this.log(commitCount + 1);
-      
-      if (history.length <= 1) {
-        throw new Error('Not enough commits to squash');
+    blame(path = '', ref = 'HEAD') {
+      const start = this._resolveRef(ref);
+      if (!this._loadCommit(start)) {
+        throw new Error(`Commit ${ref} not found`);
       }
       
-      const currentData = this.getData();
-      
-      const baseCommit = history[Math.min(commitCount, history.length - 1)];
-      const newParent = baseCommit.parent;
+      const value = this._getPath(this._readData(start), path);
+      if (value === undefined) {
+        throw new Error(`Path ${path} not found`);
+      }
       
-      const squashedId = this._generateCommitId();
-      const timestamp = new Date().toISOString();
+      const leaves = [];
+      const collect = (current, currentPath) => {
+        const keys = this._isContainer(current) ? Object.keys(current) : [];
+        if (keys.length === 0) {
+          leaves.push([currentPath, this._canonicalize(current)]);
+          return;
+        }
+        keys.forEach(key => collect(current[key], currentPath ? `${currentPath}.${key}` : key));
+      };
+      collect(value, path);
       
-      const commit = {
-        id: squashedId,
-        data: this._deepClone(currentData),
-        message,
-        timestamp,
-        parent: newParent,
-        branch: this.currentBranch,
-        squashedCommits: history.slice(0, commitCount).map(c => c.id)
+      const cache = new Map();
+      const valueAt = (commitId, leafPath) => {
+        if (!cache.has(commitId)) cache.set(commitId, this._readData(commitId));
+        const found = this._getPath(cache.get(commitId), leafPath);
+        return found === undefined ? undefined : this._canonicalize(found);
       };
       
-      this.commits[squashedId] = commit;
-      this.HEAD = squashedId;
-      this.branches[this.currentBranch] = squashedId;
+      const result = {};
+      for (const [leafPath, leafValue] of leaves) {
+        let current = start;
+        for (;;) {
+          const unchangedParent = this._parentsOf(this._loadCommit(current))
+            .find(parent => this._loadCommit(parent) && valueAt(parent, leafPath) === leafValue);
+          if (!unchangedParent) break;
+          current = unchangedParent;
+        }
+        result[leafPath] = this._logEntry(this._loadCommit(current));
+      }
       
-      return squashedId;
+      return result;
     }
   
     /**
-     * Fetches and merges changes from another `VersionControl` instance.
+     * Gets the data of a branch (or any ref) as it was at a point in time: the data of the newest commit on
+     * its first-parent history made at or before that time. This is what `checkout('main@{2026-10-01T15:00}')`
+     * resolves to as well; inside `@{}`, numbers of 10 or more digits are epoch milliseconds and shorter ones
+     * reflog indexes. Lookups use a cached timeline of the history and a binary search, so they stay fast
+     * on long histories. A commit with a timestamp older than one before it (from a replica with a skewed
+     * clock, for example) only counts from the time of the newest commit before it.
      *
-     * @param {VersionControl} otherVC - The remote `VersionControl` instance.
-     * @param {('merge'|'rebase')} [strategy='merge'] - The strategy to use for combining changes ('merge' or 'rebase').
-     * @returns {Object} An object with the result of the pull operation.
-     * @throws {Error} If an unknown pull strategy is provided.
+     * @param {string} ref - The branch, tag, remote-tracking branch or commit whose history to search.
+     * @param {Date|string|number} date - The point in time.
+     * @returns {*} The data at that time, or null if the history starts later.
+     * @throws {Error} If the ref is not found or the date is invalid.
      */
-    pull(otherVC, strategy = 'merge') {
-      const comparison = this.compareForks(otherVC);
-      
-      if (!comparison.diverged && comparison.behind === 0) {
-        return { success: true, message: 'Already up to date', changes: 0 };
-      }
-      
-      if (comparison.canFastForward) {
-        for (const commitId in otherVC.commits) {
-          if (!this.commits[commitId]) {
-            this.commits[commitId] = this._deepClone(otherVC.commits[commitId]);
-          }
-        }
-        this.HEAD = otherVC.HEAD;
-        this.branches[this.currentBranch] = otherVC.HEAD;
-        
-        return {
-          success: true,
-          message: 'Fast-forward',
-          changes: comparison.behind
-        };
-      }
-      
-      if (strategy === 'merge') {
-        const mergeId = this.merge(otherVC, 'pull');
-        return {
-          success: true,
-          message: 'Merge successful',
-          mergeCommit: mergeId,
-          changes: comparison.behind
-        };
-      } else if (strategy === 'rebase') {
-        return this.rebase(otherVC);
-      } else {
-        throw new Error('Unknown pull strategy');
-      }
+    getDataAt(ref, date) {
+      const commitId = this._commitAt(this._resolveTip(ref), this._parseTime(date));
+      return commitId ? this._readCurrent(commitId) : null;
     }
   
     /**
-     * Prepares a list of commits to be applied to another `VersionControl` instance.
+     * Compares the data of a branch (or any ref) at two points in time, as `getDataAt()` finds it.
      *
-     * @param {VersionControl} otherVC - The remote `VersionControl` instance.
-     * @returns {Object} An object containing the commits to push.
+     * @param {string} ref - The branch, tag, remote-tracking branch or commit whose history to search.
+     * @param {Date|string|number} from - The earlier point in time.
+     * @param {Date|string|number} to - The later point in time.
+     * @returns {Object} The commit IDs at `from` and `to` (null before the history starts), the log entries of the
+     *   `commits` made in between, newest first, and the `diff` between the two versions in the format of `diff()`.
+     * @throws {Error} If the ref is not found, a date is invalid or `from` is later than `to`.
      */
-    push(otherVC) {
-      const comparison = this.compareForks(otherVC);
-      
-      if (comparison.ahead === 0) {
-        return { success: true, message: 'Nothing to push', commits: [] };
+    diffRange(ref, from, to) {
+      const tip = this._resolveTip(ref);
+      const fromTime = this._parseTime(from);
+      const toTime = this._parseTime(to);
+      if (fromTime > toTime) {
+        throw new Error('The start of the range is later than its end');
       }
       
+      const timeline = this._timeline(tip);
+      const start = this._timelineIndex(timeline, fromTime);
+      const end = this._timelineIndex(timeline, toTime);
+      const fromId = start >= 0 ? timeline.ids[start] : null;
+      const toId = end >= 0 ? timeline.ids[end] : null;
+      const dataAt = commitId => (commitId ? this._readCurrent(commitId) : null);
+      
       return {
-        success: true,
-        message: `Ready to push ${comparison.ahead} commits`,
-        commits: comparison.aheadCommits,
-        canFastForward: comparison.behind === 0
+        from: fromId,
+        to: toId,
+        commits: timeline.ids.slice(start + 1, end + 1).reverse().map(commitId => this._logEntry(this._loadCommit(commitId))),
+        diff: this._generateDiff(dataAt(fromId), dataAt(toId))
       };
     }
   
     /**
-     * Performs a bidirectional synchronization with another `VersionControl` instance.
+     * Binary-searches the history between a good and a bad commit for the commit that introduced a problem.
+     * The candidates are the commits reachable from `bad` but not from `good`, across merges. Each step
+     * tests the candidate that splits the remaining ones most evenly, so about log2(n) commits are tested.
      *
-     * @param {VersionControl} otherVC - The other `VersionControl` instance to sync with.
-     * @param {('ours'|'theirs')} [conflictResolution='ours'] - The strategy for resolving conflicts if both have changes.
-     * @returns {Object} The result of the synchronization.
-     * @throws {Error} If automatic conflict resolution is not possible.
+     * With a `predicate`, the search runs to the end: the predicate receives each tested commit's data and
+     * log entry and returns `true` (or `'good'`) if the data is good, `false` (or `'bad'`) if it is bad, or
+     * `'skip'` if the commit can't be tested. An asynchronous predicate makes `bisect()` return a promise.
+     * Without a predicate, bisect runs step by step: the result names the commit to test, and `mark()`
+     * records the verdict and returns the next step, until the first bad commit is found.
+     *
+     * @param {string|Array<string>} good - One or more branches, tags or commits known to be good.
+     * @param {string} [bad='HEAD'] - The branch, tag or commit known to be bad.
+     * @param {function(*, Object): (boolean|string|Promise<boolean|string>)} [predicate] - Tests a commit's data.
+     * @returns {Object|Promise<Object>} When done, `{ done: true, commitId, commit, diff, tested }` with the first bad
+     *   commit's log entry and the diff it introduced; `commitId` is null if skipped commits leave several
+     *   `candidates`. Otherwise the next step, `{ done: false, commitId, data, remaining }`.
+     * @throws {Error} If a bisect is already in progress, a ref is not found or `bad` is reachable from `good`.
      */
-    sync(otherVC, conflictResolution = 'ours') {
-      const comparison = this.compareForks(otherVC);
+    bisect(good, bad = 'HEAD', predicate = null) {
+      if (typeof bad === 'function') {
+        return this.bisect(good, 'HEAD', bad);
+      }
+      if (this.bisectState) {
+        throw new Error('A bisect is already in progress; finish it with mark() or call resetBisect()');
+      }
       
-      if (!comparison.diverged) {
-        return { success: true, message: 'Already in sync' };
+      const resolve = ref => {
+        const commitId = this._resolveRef(ref);
+        if (!this._loadCommit(commitId)) {
+          throw new Error(`Branch, tag or commit '${ref}' not found`);
+        }
+        return commitId;
+      };
+      const badId = resolve(bad);
+      const goodIds = (Array.isArray(good) ? good : [good]).map(resolve);
+      
+      const state = { bad: badId, candidates: this._ancestors(badId), skipped: new Set(), tested: 0, current: null };
+      goodIds.forEach(goodId => this._ancestors(goodId).forEach(commitId => state.candidates.delete(commitId)));
+      if (!state.candidates.has(badId)) {
+        throw new Error('The bad commit is reachable from a good commit');
       }
       
-      if (comparison.ahead === 0) {
-        return this.pull(otherVC);
+      if (!predicate) {
+        this.bisectState = state;
+        return this._bisectStep(state);
       }
       
-      if (comparison.behind === 0) {
-        const pushResult = this.push(otherVC);
-        for (const commit of pushResult.commits.reverse()) {
-          if (!otherVC.commits[commit.id]) {
-            otherVC.commits[commit.id] = this._deepClone(commit);
+      const run = () => {
+        for (;;) {
+          const commitId = this._bisectNext(state);
+          if (commitId === null) return this._bisectResult(state);
+          
+          const verdict = predicate(this.getCommit(commitId), this._logEntry(this._loadCommit(commitId)));
+          if (verdict && typeof verdict.then === 'function') {
+            return verdict.then(value => {
+              this._bisectMark(state, commitId, value);
+              return run();
+            });
           }
+          this._bisectMark(state, commitId, verdict);
         }
-        otherVC.HEAD = this.HEAD;
-        otherVC.branches[otherVC.currentBranch] = this.HEAD;
-        
-        return { success: true, message: `Pushed ${comparison.ahead} commits` };
+      };
+      return run();
+    }
+  
+    /**
+     * Records the verdict for the commit being tested in a step-by-step `bisect()`.
+     *
+     * @param {('good'|'bad'|'skip'|boolean)} verdict - Whether the commit is good, bad or can't be tested.
+     * @param {string} [ref] - The commit to mark. Defaults to the one `bisect()` or the last `mark()` asked for.
+     * @returns {Object} The next step or the final result, as returned by `bisect()`.
+     * @throws {Error} If no bisect is in progress, the verdict is invalid, the commit is not a candidate or
+     *   marking it good contradicts a bad commit reachable from it. The bisect state is left unchanged.
+     */
+    mark(verdict, ref) {
+      const state = this.bisectState;
+      if (!state) {
+        throw new Error('No bisect in progress');
       }
       
-      if (conflictResolution === 'ours') {
-        this.merge(otherVC, 'sync');
-        return { success: true, message: 'Synced (kept our changes)', conflicts: true };
-      } else if (conflictResolution === 'theirs') {
-        return this.pull(otherVC);
-      } else {
-        throw new Error('Cannot auto-resolve conflicts');
+      const commitId = ref === undefined ? state.current : this._resolveRef(ref);
+      if (!state.candidates.has(commitId)) {
+        throw new Error(`Commit ${ref} is not between the good and bad commits`);
       }
+      this._bisectMark(state, commitId, verdict);
+      return this._bisectStep(state);
     }
   
     /**
-     * Creates an exact copy of the `VersionControl` instance.
-     *
-     * @returns {VersionControl} A new `VersionControl` instance with identical state.
+     * Abandons a step-by-step `bisect()`. Bisecting never moves refs, so nothing else changes.
      */
-    clone() {
-      const cloned = new VersionControl();
-      cloned.commits = this._deepClone(this.commits);
-      cloned.branches = this._deepClone(this.branches);
-      cloned.currentBranch = this.currentBranch;
-      cloned.HEAD = this.HEAD;
-      return cloned;
+    resetBisect() {
+      this.bisectState = null;
     }
   
     /**
-     * Checks if the current data has uncommitted changes compared to the HEAD commit.
+     * Computes the difference between the data of two commits.
+     * By default the result is a summary of added, removed and modified paths. With `format: 'patch'`
+     * it is an RFC 6902 JSON Patch, computed with array-aware matching (see `createPatch()`).
      *
-     * @param {*} currentData - The current data to compare against HEAD.
-     * @returns {boolean} `true` if there are changes, `false` otherwise.
+     * @param {string} commitId1 - The first commit ID, branch or tag.
+     * @param {string} commitId2 - The second commit ID, branch or tag.
+     * @param {Object} [options={}] - Diff options. Everything except `format` is passed to `createPatch()`.
+     * @param {('summary'|'patch')} [options.format='summary'] - The output format.
+     * @returns {Object|Array<Object>} An object with `added`, `removed`, and `modified` properties, or a JSON Patch.
      */
-    isDirty(currentData) {
-      if (!this.HEAD) return currentData !== null;
-      const headData = this.getData();
-      return JSON.stringify(headData) !== JSON.stringify(currentData);
+    diff(commitId1, commitId2, options = {}) {
+      const data1 = this.getCommit(commitId1);
+      const data2 = this.getCommit(commitId2);
+      
+      if (options.format === 'patch') {
+        return this.createPatch(data1, data2, options);
+      }
+      return this._generateDiff(data1, data2);
     }
   
     /**
-     * Saves the current changes without committing them.
+     * Commits a change described as an RFC 6902 JSON Patch instead of a whole document.
+     * The patch is applied to the data at HEAD, and all of it is committed or none of it is. Include
+     * `test` operations to make the commit conditional on the current values, for optimistic concurrency.
      *
-     * @param {*} data - The data to stash.
-     * @param {string} [stashMessage='WIP'] - A message for the stash.
-     * @returns {number} The index of the new stash entry.
+     * @param {Array<Object>} patch - The patch operations: `add`, `remove`, `replace`, `move`, `copy` and `test`.
+     * @param {string} [message='Apply patch'] - The commit message.
+     * @returns {string} The ID of the new commit.
+     * @throws {Error} If the patch is malformed, a path doesn't exist or a `test` operation fails. Nothing is committed.
      */
-    stash(data, stashMessage = 'WIP') {
-      if (!this.stashStack) this.stashStack = [];
-      
-      this.stashStack.push({
-        data: this._deepClone(data),
-        message: stashMessage,
-        timestamp: new Date().toISOString(),
-        branch: this.currentBranch,
-        head: this.HEAD
-      });
-      
-      return this.stashStack.length - 1;
+    applyPatch(patch, message = 'Apply patch') {
+      const current = this.getData();
+      const data = this._applyPatch(this.options.immutable ? this._deepClone(current) : current, patch);
+      return this.commit(data, message);
     }
   
     /**
-     * Applies and removes the most recent stash.
+     * Creates an RFC 6902 JSON Patch that turns one value into another.
+     * Arrays are compared with a longest common subsequence, so inserting an element only produces a
+     * single `add`, and elements that changed position produce `move` operations. String changes are
+     * `replace` operations, which can carry an extra `textDiff` member with line or character hunks.
      *
-     * @returns {*} The data from the popped stash.
-     * @throws {Error} If there is no stash to pop.
+     * @param {*} oldData - The original value.
+     * @param {*} newData - The new value.
+     * @param {Object} [options={}] - Diff options.
+     * @param {string|Function} [options.arrayKey] - Identifies array elements of objects by this property, or by
+     *   the key a function returns, so that edited elements are diffed in place instead of replaced.
+     * @param {('line'|'char')} [options.text] - Adds a line- or character-level `textDiff` to string replacements.
+     * @returns {Array<Object>} The patch operations.
      */
-    stashPop() {
-      if (!this.stashStack || this.stashStack.length === 0) {
-        throw new Error('No stash to pop');
-      }
-      
-      const stash = this.stashStack.pop();
-      return stash.data;
+    createPatch(oldData, newData, options = {}) {
+      return this._createPatch(oldData, newData, options);
     }
   
     /**
-     * Applies a stash without removing it from the stash list.
+     * Reverts to a specific commit by creating a new commit with the data of the specified commit.
      *
-     * @param {number} [index=-1] - The index of the stash to apply. Defaults to the most recent stash.
-     * @returns {*} The data from the applied stash.
-     * @throws {Error} If there is no stash available.
+     * @param {string} commitId - The ID of the commit to revert to, or a branch or tag pointing at it.
+     * @returns {string} The ID of the new revert commit.
      */
-    stashApply(index = -1) {
-      if (!this.stashStack || this.stashStack.length === 0) {
-        throw new Error('No stash available');
-      }
-      
-      const stash = index === -1 
-        ? this.stashStack[this.stashStack.length - 1]
-        : this.stashStack[index];
-      
-      if (!stash) {
-        throw new Error(`Stash at index ${index} not found.`);
-      }
-
-      return this._deepClone(stash.data);
+    revert(commitId) {
+      const before = this._refState();
+      const target = this._resolveRef(commitId);
+      const data = this.getCommit(target);
+      const revertId = this.commit(data, `Revert to ${target.substring(0, 7)}`);
+      this._emitChange('revert', before, { commitId: revertId, target });
+      return revertId;
     }
   
     /**
-     * Lists all stashes.
+     * Lists all branches.
      *
-     * @returns {Array<Object>} An array of stash objects.
+     * @returns {Array<Object>} An array of branch objects, each with name, current status, and HEAD commit ID.
      */
-    stashList() {
-      if (!this.stashStack) return [];
-      return this.stashStack.map((s, i) => ({
-        index: i,
-        message: s.message,
-        timestamp: s.timestamp,
-        branch: s.branch
+    listBranches() {
+      return Object.keys(this.branches).map(name => ({
+        name,
+        current: name === this.currentBranch,
+        head: this.branches[name]
       }));
     }
   
     /**
-     * Exports the entire version history to a JSON string.
+     * Creates an independent copy of the version control system.
+     * The fork lives in memory only: it doesn't share this instance's storage adapter. With an asynchronous
+     * adapter, call `preload()` first.
      *
-     * @returns {string} The JSON string representation of the version control state.
+     * @param {string} [forkName=null] - If provided, a new branch with this name is created in the forked instance.
+     * @returns {VersionControl} A new `VersionControl` instance with a complete copy of the history.
+     * @throws {Error} If commits of the history haven't been loaded from the storage adapter yet.
      */
-    export() {
-      return JSON.stringify({
-        commits: this.commits,
-        branches: this.branches,
-        currentBranch: this.currentBranch,
-        HEAD: this.HEAD,
-        stashStack: this.stashStack || []
-      });
+    fork(forkName = null) {
+      this._loadHistory();
+      const forked = new VersionControl(null, this._copyOptions());
+      
+      forked.commits = this._deepClone(this.commits);
+      forked.branches = this._deepClone(this.branches);
+      forked.tags = this._deepClone(this.tags);
+      forked.reflogs = this._deepClone(this.reflogs);
+      forked.currentBranch = this.currentBranch;
+      forked.HEAD = this.HEAD;
+      
+      if (forkName && this.HEAD) {
+        const forkCommitId = forked.commit(
+          forked.getData(),
+          `Forked from ${this.currentBranch} as ${forkName}`
+        );
+        
+        forked.branches[forkName] = forkCommitId;
+        forked.currentBranch = forkName;
+      }
+      
+      return forked;
     }
   
     /**
-     * Imports version history from a JSON string.
+     * Merges changes from another `VersionControl` instance, or from a ref of this one, using a three-way merge.
+     * The common ancestor found by `findCommonAncestor()` is used as the merge base, and both sides'
+     * changes are combined path by path using the same path model as `diff()`, except that an array is
+     * merged as a single value. When both sides change the same path differently, no commit is made and
+     * the conflicts are returned instead, unless a `conflictResolution` strategy is given.
      *
-     * @param {string} jsonString - The JSON string to import from.
+     * @param {VersionControl|string} otherVC - The other `VersionControl` instance to merge from, or a branch,
+     *   tag, remote-tracking branch (`origin/main`) or commit ID of this instance.
+     * @param {string} [branchName='merged'] - A name to identify the source of the merge. Defaults to the ref when merging a ref.
+     * @param {Object} [options={}] - Merge options.
+     * @param {('ours'|'theirs')} [options.conflictResolution] - Resolves every conflicting path in favor of one side.
+     * @returns {Object} The merge result, with `success`, `message`, `commitId` and a `conflicts` array of `{ path, base, ours, theirs }` entries.
+     * @throws {Error} If the other `VersionControl` instance is invalid, the ref is not found, or the merged data fails schema validation.
      */
-    import(jsonString) {
-      const data = JSON.parse(jsonString);
-      this.commits = data.commits;
-      this.branches = data.branches;
-      this.currentBranch = data.currentBranch;
-      this.HEAD = data.HEAD;
-      this.stashStack = data.stashStack || [];
+    merge(otherVC, branchName = 'merged', options = {}) {
+      let theirHead;
+      let ancestorId;
+      
+      if (typeof otherVC === 'string') {
+        theirHead = this._resolveRef(otherVC);
+        if (!this._loadCommit(theirHead)) {
+          throw new Error(`Commit ${otherVC} not found`);
+        }
+        if (branchName === 'merged') branchName = otherVC;
+        ancestorId = this._mergeBase(this.HEAD, theirHead);
+      } else {
+        if (!otherVC || !otherVC.HEAD) {
+          throw new Error('Cannot merge empty version control');
+        }
+        this._copyCommitsFrom(otherVC);
+        theirHead = otherVC.HEAD;
+        const ancestor = this.findCommonAncestor(otherVC);
+        ancestorId = ancestor && ancestor.commitId;
+      }
+  
+      if (ancestorId === theirHead) {
+        return { success: true, message: 'Already up to date', commitId: this.HEAD, conflicts: [] };
+      }
+  
+      const before = this._refState();
+      
+      if (!this.HEAD || ancestorId === this.HEAD) {
+        this._validate(this.getCommit(theirHead));
+        this._advance(theirHead, 'merge');
+        this._emitChange('merge', before, { commitId: theirHead, fastForward: true });
+        return { success: true, message: 'Fast-forward', commitId: theirHead, conflicts: [] };
+      }
+  
+      const ours = this.getData();
+      const theirs = this.getCommit(theirHead);
+      const base = ancestorId ? this.getCommit(ancestorId) : this._emptyLike(ours, theirs);
+      const { data, conflicts } = this._threeWayMerge(base, ours, theirs, options.conflictResolution);
+  
+      if (conflicts.length > 0 && !options.conflictResolution) {
+        return { success: false, message: 'Merge conflict', commitId: null, conflicts };
+      }
+      this._validate(data);
+  
+      const mergeCommitId = this._createCommit(data, `Merge from ${branchName}`, [this.HEAD, theirHead]);
+      this._advance(mergeCommitId, 'merge');
+      this._emitChange('merge', before, { commitId: mergeCommitId, fastForward: false, conflicts });
+      
+      return { success: true, message: 'Merge successful', commitId: mergeCommitId, conflicts };
     }
   
     /**
-     * Generates a unique commit ID.
-     * @private
-     * @returns {string} A random string to be used as a commit ID.
+     * Applies the change introduced by a commit to the current branch.
+     * The commit's delta against its first parent is replayed onto HEAD with a three-way merge, so
+     * later work on the current branch is kept. Conflicts are reported like `merge()` does.
+     * The source may be this instance, in which case it can be omitted: `cherryPick(commitId)`.
+     *
+     * @param {VersionControl} otherVC - The source `VersionControl` instance.
+     * @param {string} commitId - The ID of the commit to cherry-pick, or a branch or tag pointing at it.
+     * @param {Object} [options={}] - Merge options, as accepted by `merge()`.
+     * @returns {Object} The result, with `success`, `message`, `commitId` and a `conflicts` array.
+     * @throws {Error} If the commit is not found in the source.
      */
-    _generateCommitId() {
-      return Math.random().toString(36).substring(2, 15) + 
-             Math.random().toString(36).substring(2, 15);
+    cherryPick(otherVC, commitId, options = {}) {
+      if (typeof otherVC === 'string') {
+        return this.cherryPick(this, otherVC, commitId);
+      }
+      
+      const sourceId = otherVC._resolveRef(commitId);
+      const commit = otherVC._loadCommit(sourceId);
+      if (!commit) {
+        throw new Error(`Commit ${commitId} not found in source`);
+      }
+  
+      const theirs = otherVC.getCommit(sourceId);
+      const base = commit.parent ? otherVC.getCommit(commit.parent) : this._emptyLike(theirs, theirs);
+      
+      return this._replayChange(
+        base,
+        theirs,
+        `Cherry-pick: ${commit.message} (${sourceId.substring(0, 7)})`,
+        options,
+        'cherryPick'
+      );
     }
   
     /**
-     * Creates a deep clone of an object.
-     * @private
-     * @param {*} obj - The object to clone.
-     * @returns {*} A deep clone of the object.
+     * Reverts the change introduced by a single commit, keeping all later work.
+     * The inverse of the commit's delta against its first parent is applied to HEAD with a three-way
+     * merge. Unlike `revert()`, which resets the whole document to an old snapshot, this only undoes
+     * what that one commit changed. Conflicts are reported like `merge()` does.
+     *
+     * @param {string} commitId - The ID of the commit to revert, or a branch or tag pointing at it.
+     * @param {Object} [options={}] - Merge options, as accepted by `merge()`.
+     * @returns {Object} The result, with `success`, `message`, `commitId` and a `conflicts` array.
+     * @throws {Error} If the commit is not found.
      */
-    _deepClone(obj) {
-      return JSON.parse(JSON.stringify(obj));
+    revertCommit(commitId, options = {}) {
+      const targetId = this._resolveRef(commitId);
+      const commit = this._loadCommit(targetId);
+      if (!commit) {
+        throw new Error(`Commit ${commitId} not found`);
+      }
+      
+      const base = this.getCommit(targetId);
+      const inverse = commit.parent ? this.getCommit(commit.parent) : this._emptyLike(base, base);
+      
+      return this._replayChange(
+        base,
+        inverse,
+        `Revert "${commit.message}" (${targetId.substring(0, 7)})`,
+        options,
+        'revertCommit'
+      );
     }
   
     /**
-     * Generates a diff object between two objects.
-     * @private
-     * @param {*} obj1 - The first object.
-     * @param {*} obj2 - The second object.
-     * @param {string} [path=''] - The current path for nested objects.
-     * @returns {Object} An object with `added`, `removed`, and `modified` arrays.
+     * Gets metadata about the fork, such as commit count and branch information.
+     *
+     * @returns {Object} An object containing fork metadata.
      */
-    _generateDiff(obj1, obj2, path = '') {
-      const diff = { added: [], removed: [], modified: [] };
+    getForkInfo() {
+      return {
+        totalCommits: Object.keys(this.commits).length,
+        branches: Object.keys(this.branches),
+        currentBranch: this.currentBranch,
+        HEAD: this.HEAD,
+        latestCommit: this.HEAD ? this._materialize(this.HEAD) : null
+      };
+    }
+  
+    /**
+     * Finds the most recent common ancestor commit between this and another `VersionControl` instance.
+     *
+     * @param {VersionControl} otherVC - The other `VersionControl` instance.
+     * @returns {Object|null} An object with the common ancestor's commit ID, data, and timestamp, or null if no common ancestor is found.
+     */
+    findCommonAncestor(otherVC) {
+      if (!this.HEAD || !otherVC.HEAD) {
+        return null;
+      }
       
-      if (typeof obj1 === 'string' && typeof obj2 === 'string') {
-        if (obj1 !== obj2) {
-          diff.modified.push({ path, old: obj1, new: obj2 });
+      const theirAncestors = otherVC._ancestors(otherVC.HEAD);
+      const queue = [this.HEAD];
+      const seen = new Set(queue);
+      
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (theirAncestors.has(current)) {
+          return {
+            commitId: current,
+            commit: this._materialize(current),
+            divergedAt: this._loadCommit(current).timestamp
+          };
+        }
+        for (const parent of this._parentsOf(this._loadCommit(current))) {
+          if (!seen.has(parent) && this._loadCommit(parent)) {
+            seen.add(parent);
+            queue.push(parent);
+          }
         }
-        return diff;
       }
+      
+      return null;
+    }
   
-      const keys1 = new Set(Object.keys(obj1 || {}));
-      const keys2 = new Set(Object.keys(obj2 || {}));
+    /**
+     * Gets the commits that are reachable from this instance's HEAD but not from the other's, children first.
+     * On both sides every parent of merge commits is followed.
+     *
+     * @param {VersionControl} otherVC - The other `VersionControl` instance.
+     * @returns {Array<Object>} An array of commits ahead of the other instance.
+     */
+    getAheadCommits(otherVC) {
+      const theirs = otherVC._ancestors(otherVC.HEAD);
+      return this._walkHistory([this.HEAD], { exclude: theirs }).map(commit => this._materialize(commit.id));
+    }
+  
+    /**
+     * Gets the commits that are in another instance but not in this one.
+     *
+     * @param {VersionControl} otherVC - The other `VersionControl` instance.
+     * @returns {Array<Object>} An array of commits this instance is behind.
+     */
+    getBehindCommits(otherVC) {
+      return otherVC.getAheadCommits(this);
+    }
+  
+    /**
+     * Compares this instance with another to check for divergence.
+     *
+     * @param {VersionControl} otherVC - The other `VersionControl` instance.
+     * @returns {Object} An object detailing the comparison, including common ancestor, ahead/behind counts, and whether a fast-forward is possible.
+     */
+    compareForks(otherVC) {
+      const ancestor = this.findCommonAncestor(otherVC);
+      const ahead = this.getAheadCommits(otherVC);
+      const behind = this.getBehindCommits(otherVC);
       
-      for (const key of keys1) {
-        if (!keys2.has(key)) {
-          diff.removed.push({ path: path ? `${path}.${key}` : key, value: obj1[key] });
+      return {
+        commonAncestor: ancestor,
+        ahead: ahead.length,
+        behind: behind.length,
+        aheadCommits: ahead,
+        behindCommits: behind,
+        diverged: ahead.length > 0 && behind.length > 0,
+        canFastForward: ahead.length === 0 && behind.length > 0
+      };
+    }
+  
+    /**
+     * Rebases the current branch by replaying commits onto a new base, following an ordered plan.
+     * Each step names a commit and an action:
+     * - `pick` replays the commit's change;
+     * - `reword` replays it with a new `message`;
+     * - `edit` replays it, then stops so it can be amended with `continueRebase(data, message)`;
+     * - `squash` melds its change into the previous step's commit, joining the messages (or using `message`);
+     * - `fixup` melds its change into the previous step's commit, keeping that commit's message;
+     * - `drop` leaves it out.
+     * Changes are replayed with a three-way merge, so the plan may reorder commits or take them from any range.
+     * A commit whose parent is already the new base is reused as is, and a change that turns out to be empty is left out.
+     * Replayed commits keep their author and metadata, and get the current time as their timestamp; the
+     * original time is kept as `authorTimestamp`.
+     *
+     * When a step conflicts (or `edit` stops), the rebase stops with `status: 'stopped'` and can be resumed with
+     * `continueRebase()`, `skipRebase()` or `abortRebase()`, which the result also offers as `continue()`, `skip()`
+     * and `abort()`. No ref moves until the plan is done; then only the current branch (or a detached HEAD)
+     * moves to the last replayed commit.
+     *
+     * Passing another `VersionControl` instance instead of options replays the commits this instance has
+     * ahead of it onto its HEAD, after copying its commits.
+     *
+     * @param {Object|VersionControl} options - Rebase options, or the instance to rebase onto.
+     * @param {string} [options.onto] - The branch, tag or commit to replay onto. Defaults to `upstream`.
+     * @param {string} [options.upstream] - Without a `plan`, the commits on the current branch since this ref are
+     *   picked in order, leaving out merge commits. Defaults to `onto`.
+     * @param {Array<{action: string, commit: string, message: string}>} [options.plan] - The steps, in order.
+     * @param {('ours'|'theirs')} [options.conflictResolution] - Resolves every conflicting path in favor of one side
+     *   instead of stopping.
+     * @returns {Object} The result, with `success`, `status` (`'done'` or `'stopped'`), `message` and `commitId`
+     *   (the last replayed commit). A finished rebase adds the `replayed` commit IDs; a stopped one adds the
+     *   `step`, the `data` to amend or resolve, the `conflicts` and the `continue`, `skip` and `abort` functions.
+     * @throws {Error} If a rebase is already in progress, a ref is not found or the plan is invalid.
+     */
+    rebase(options = {}) {
+      if (options instanceof VersionControl) {
+        const targetVC = options;
+        const comparison = this.compareForks(targetVC);
+        if (!comparison.diverged) {
+          return { success: true, message: 'Already up to date', replayedCommits: 0 };
         }
+        
+        this._copyCommitsFrom(targetVC);
+        const plan = comparison.aheadCommits.reverse()
+          .filter(commit => this._parentsOf(commit).length <= 1)
+          .map(commit => ({ action: 'pick', commit: commit.id }));
+        const result = this.rebase({ onto: targetVC.HEAD, plan });
+        return Object.assign(result, { replayedCommits: result.replayed ? result.replayed.length : 0 });
       }
       
-      for (const key of keys2) {
-        const newPath = path ? `${path}.${key}` : key;
-        if (!keys1.has(key)) {
-          diff.added.push({ path: newPath, value: obj2[key] });
-        } else if (JSON.stringify(obj1[key]) !== JSON.stringify(obj2[key])) {
-          if (typeof obj1[key] === 'object' && obj1[key] !== null && typeof obj2[key] === 'object' && obj2[key] !== null) {
-            const nested = this._generateDiff(obj1[key], obj2[key], newPath);
-            diff.added.push(...nested.added);
-            diff.removed.push(...nested.removed);
-            diff.modified.push(...nested.modified);
-          } else {
-            diff.modified.push({ path: newPath, old: obj1[key], new: obj2[key] });
+      if (this.rebaseState) {
+        throw new Error('A rebase is already in progress; continue, skip or abort it first');
+      }
+      if (!this.HEAD) {
+        throw new Error('Cannot rebase without commits');
+      }
+      
+      const ontoRef = options.onto !== undefined ? options.onto : options.upstream;
+      const onto = this._resolveRef(ontoRef);
+      if (!this._loadCommit(onto)) {
+        throw new Error(`Branch, tag or commit '${ontoRef}' not found`);
+      }
+      
+      let plan = options.plan;
+      if (!plan) {
+        const upstream = options.upstream === undefined ? onto : this._resolveRef(options.upstream);
+        if (!this._loadCommit(upstream)) {
+          throw new Error(`Branch, tag or commit '${options.upstream}' not found`);
+        }
+        plan = this._walkHistory([this.HEAD], { exclude: this._ancestors(upstream), firstParent: true })
+          .filter(commit => this._parentsOf(commit).length <= 1)
+          .reverse()
+          .map(commit => ({ action: 'pick', commit: commit.id }));
+      }
+      
+      const actions = ['pick', 'reword', 'edit', 'squash', 'fixup', 'drop'];
+      let hasCommit = false;
+      const steps = plan.map((step, index) => {
+        if (!actions.includes(step.action)) {
+          throw new Error(`Unknown rebase action '${step.action}' in step ${index + 1}`);
+        }
+        const commitId = this._resolveRef(step.commit);
+        if (!this._loadCommit(commitId)) {
+          throw new Error(`Branch, tag or commit '${step.commit}' not found in step ${index + 1}`);
+        }
+        if (step.action === 'reword' && typeof step.message !== 'string') {
+          throw new Error(`Rebase step ${index + 1} rewords without a message`);
+        }
+        if ((step.action === 'squash' || step.action === 'fixup') && !hasCommit) {
+          throw new Error(`Rebase step ${index + 1} has no previous commit to ${step.action} into`);
+        }
+        if (step.action !== 'drop') hasCommit = true;
+        return { action: step.action, commitId, message: step.message };
+      });
+      
+      this.rebaseState = {
+        before: this._refState(),
+        originalHead: this.HEAD,
+        branch: this.isDetached() ? null : this.currentBranch,
+        onto,
+        tip: onto,
+        steps,
+        index: 0,
+        stopped: null,
+        conflictResolution: options.conflictResolution
+      };
+      return this._runRebase();
+    }
+  
+    /**
+     * Resumes a stopped rebase. After a conflict, `data` is the resolved data of the conflicting step and is
+     * required. After an `edit` step, passing `data` or `message` amends the commit that was just replayed.
+     *
+     * @param {*} [data] - The resolved or amended data.
+     * @param {string} [message] - A new message for the step's commit.
+     * @returns {Object} The rebase result, as returned by `rebase()`.
+     * @throws {Error} If no rebase is stopped, conflict data is missing or the data fails schema validation.
+     */
+    continueRebase(data, message) {
+      const state = this._stoppedRebase();
+      const stopped = state.stopped;
+      
+      if (stopped.reason === 'edit') {
+        if (data !== undefined || message !== undefined) {
+          const commit = this._loadCommit(state.tip);
+          const amended = data === undefined ? this.getCommit(state.tip) : data;
+          this._validate(amended);
+          state.tip = this._createCommit(amended, message === undefined ? commit.message : message,
+            this._parentsOf(commit), this._replayFields(commit));
+        }
+      } else {
+        if (data === undefined) {
+          throw new Error('Pass the resolved data to continue the rebase');
+        }
+        const step = state.steps[state.index];
+        this._applyRebaseStep(message === undefined ? step : Object.assign({}, step, { message }), data);
+        state.index++;
+      }
+      
+      state.stopped = null;
+      return this._runRebase();
+    }
+  
+    /**
+     * Resumes a stopped rebase without the step it stopped at. After an `edit` step, the commit that was
+     * just replayed is left out.
+     *
+     * @returns {Object} The rebase result, as returned by `rebase()`.
+     * @throws {Error} If no rebase is stopped.
+     */
+    skipRebase() {
+      const state = this._stoppedRebase();
+      state.tip = state.stopped.tipBefore;
+      if (state.stopped.reason !== 'edit') state.index++;
+      state.stopped = null;
+      return this._runRebase();
+    }
+  
+    /**
+     * Abandons a stopped rebase. Refs never move before a rebase is done, so nothing else changes.
+     *
+     * @returns {Object} The result, with `success: false`, `status: 'aborted'` and HEAD as `commitId`.
+     * @throws {Error} If no rebase is stopped.
+     */
+    abortRebase() {
+      this._stoppedRebase();
+      this.rebaseState = null;
+      return { success: false, status: 'aborted', message: 'Rebase aborted', commitId: this.HEAD };
+    }
+  
+    /**
+     * Squashes a number of recent commits into a single new commit.
+     * To squash or fix up other commits, use a `rebase()` plan.
+     *
+     * @param {number} commitCount - The number of commits from HEAD to squash.
+     * @param {string} [message='Squashed commits'] - The message for the new squashed commit.
+     * @returns {string} The ID of the new squashed commit.
+     * @throws {Error} If there are not enough commits to squash.
+     */
+    squash(commitCount, message = 'Squashed commits') {
+      const history = this.log({ limit: commitCount + 1, firstParent: true });
+      
+      if (history.length <= 1) {
+        throw new Error('Not enough commits to squash');
+      }
+      
+      const currentData = this.getData();
+      
+      const newParent = history.length > commitCount ? history[commitCount].id : null;
+      
+      const before = this._refState();
+      const squashedId = this._createCommit(currentData, message, newParent ? [newParent] : [], {
+        squashedCommits: history.slice(0, commitCount).map(c => c.id)
+      });
+      
+      this._advance(squashedId, 'squash');
+      this._emitChange('squash', before, { commitId: squashedId });
+      
+      return squashedId;
+    }
+  
+    /**
+     * Fetches and merges changes from another `VersionControl` instance.
+     *
+     * @param {VersionControl} otherVC - The remote `VersionControl` instance.
+     * @param {('merge'|'rebase')} [strategy='merge'] - The strategy to use for combining changes ('merge' or 'rebase').
+     * @param {Object} [mergeOptions={}] - Options passed to `merge()` when the merge strategy is used.
+     * @returns {Object} An object with the result of the pull operation.
+     * @throws {Error} If an unknown pull strategy is provided.
+     */
+    pull(otherVC, strategy = 'merge', mergeOptions = {}) {
+      const comparison = this.compareForks(otherVC);
+      
+      if (!comparison.diverged && comparison.behind === 0) {
+        return { success: true, message: 'Already up to date', changes: 0 };
+      }
+      
+      const before = this._refState();
+      
+      if (comparison.canFastForward) {
+        this._copyCommitsFrom(otherVC);
+        this._advance(otherVC.HEAD, 'pull');
+        this._emitChange('pull', before, { fastForward: true });
+        
+        return {
+          success: true,
+          message: 'Fast-forward',
+          changes: comparison.behind
+        };
+      }
+      
+      if (strategy === 'merge') {
+        const result = this.merge(otherVC, 'pull', mergeOptions);
+        if (!result.success) {
+          return { success: false, message: result.message, conflicts: result.conflicts, changes: 0 };
+        }
+        this._emitChange('pull', before, { fastForward: false, mergeCommit: result.commitId });
+        return {
+          success: true,
+          message: 'Merge successful',
+          mergeCommit: result.commitId,
+          conflicts: result.conflicts,
+          changes: comparison.behind
+        };
+      } else if (strategy === 'rebase') {
+        return this.rebase(otherVC);
+      } else {
+        throw new Error('Unknown pull strategy');
+      }
+    }
+  
+    /**
+     * Prepares a list of commits to be applied to another `VersionControl` instance.
+     * Nothing is transferred; use `pushTo()` to send commits to another replica.
+     *
+     * @param {VersionControl} otherVC - The remote `VersionControl` instance.
+     * @returns {Object} An object containing the commits to push.
+     */
+    push(otherVC) {
+      const comparison = this.compareForks(otherVC);
+      
+      if (comparison.ahead === 0) {
+        return { success: true, message: 'Nothing to push', commits: [] };
+      }
+      
+      return {
+        success: true,
+        message: `Ready to push ${comparison.ahead} commits`,
+        commits: comparison.aheadCommits,
+        canFastForward: comparison.behind === 0
+      };
+    }
+  
+    /**
+     * Performs a bidirectional synchronization with another `VersionControl` instance.
+     *
+     * @param {VersionControl} otherVC - The other `VersionControl` instance to sync with.
+     * @param {('ours'|'theirs')} [conflictResolution='ours'] - The strategy for resolving conflicts if both have changes.
+     * @returns {Object} The result of the synchronization.
+     * @throws {Error} If automatic conflict resolution is not possible.
+     */
+    sync(otherVC, conflictResolution = 'ours') {
+      const comparison = this.compareForks(otherVC);
+      
+      if (comparison.ahead === 0 && comparison.behind === 0) {
+        return { success: true, message: 'Already in sync' };
+      }
+      
+      if (comparison.ahead === 0) {
+        return this.pull(otherVC);
+      }
+      
+      if (comparison.behind === 0) {
+        const pushResult = this.push(otherVC);
+        for (const commit of pushResult.commits.reverse()) {
+          if (!otherVC._loadCommit(commit.id)) {
+            otherVC._putCommit(this._deepClone(commit));
           }
         }
+        otherVC._advance(this.HEAD, 'sync');
+        
+        return { success: true, message: `Pushed ${comparison.ahead} commits` };
       }
       
-      return diff;
+      if (conflictResolution === 'ours') {
+        const result = this.merge(otherVC, 'sync', { conflictResolution });
+        return { success: true, message: 'Synced (kept our changes)', conflicts: result.conflicts.length > 0 };
+      } else if (conflictResolution === 'theirs') {
+        return this.pull(otherVC, 'merge', { conflictResolution });
+      } else {
+        throw new Error('Cannot auto-resolve conflicts');
+      }
     }
-  }
+  
+    /**
+     * Answers a sync protocol request from another replica. Requests and responses are plain JSON
+     * objects, so they can travel over any channel: `postMessage`, a worker, a WebSocket or HTTP.
+     *
+     * - `{ type: 'advertise' }` returns `{ type: 'refs', branches, tags, HEAD, currentBranch }`.
+     * - `{ type: 'want', wants, haves }` returns `{ type: 'pack', commits }` with every commit reachable
+     *   from `wants` that is not reachable from the `haves` this replica knows. Packs are JSON-safe: commit
+     *   data that JSON can't represent, such as Dates or Maps, is encoded with the same codec as `export()`.
+     * - `{ type: 'push', commits, updates, force }` stores a pack and applies the `{ ref, oldId, newId }`
+     *   branch updates atomically. Each branch must have a valid Git ref name and still point at `oldId`,
+     *   and unless `force` is set the update must be a fast-forward. Returns `{ type: 'push-result', success, message, rejected }`.
+     *
+     * Failures are returned as `{ type: 'error', message }` rather than thrown.
+     *
+     * @param {Object} request - The request message.
+     * @returns {Object} The response message.
+     */
+    handleSyncRequest(request) {
+      try {
+        switch (request && request.type) {
+          case 'advertise': {
+            const tags = {};
+            for (const name in this.tags) {
+              tags[name] = this.tags[name].target;
+            }
+            return {
+              type: 'refs',
+              branches: Object.assign({}, this.branches),
+              tags,
+              HEAD: this.HEAD,
+              currentBranch: this.currentBranch
+            };
+          }
+          case 'want':
+            return { type: 'pack', commits: this._encode(this._createPack(request.wants || [], request.haves || [])) };
+          case 'push': {
+            this._receivePack(this._decode(request.commits || []));
+            const rejected = this._applyRefUpdates(request.updates || [], request.force);
+            return {
+              type: 'push-result',
+              success: rejected.length === 0,
+              message: rejected.length === 0 ? 'Refs updated' : 'Push rejected',
+              rejected
+            };
+          }
+          default:
+            throw new Error(`Unknown sync request: ${request && request.type}`);
+        }
+      } catch (error) {
+        return { type: 'error', message: error.message };
+      }
+    }
+  
+    /**
+     * Downloads missing commits from a remote replica and records its branches as remote-tracking
+     * branches, which can be read or merged as `<remote>/<branch>` (for example `merge('origin/main')`).
+     * Tags that don't exist locally are copied as well. Local branches are not changed.
+     *
+     * @param {function(Object): Promise<Object>} transport - Sends a request to the remote's `handleSyncRequest()` and resolves with its response.
+     * @param {Object} [options={}] - Fetch options.
+     * @param {string} [options.remote='origin'] - The name under which the remote's branches are recorded.
+     * @returns {Promise<Object>} Resolves with the number of commits `received` and the remote's `branches`.
+     * @throws {Error} If the remote reports an error, advertises a branch or tag name that is not a valid Git
+     *   ref name, or sends a pack that fails verification.
+     */
+    async fetchFrom(transport, options = {}) {
+      const remote = this._checkRefName(options.remote || 'origin', 'remote');
+      const refs = await this._request(transport, { type: 'advertise' });
+      Object.keys(refs.branches).forEach(name => this._checkRefName(name, 'remote branch'));
+      Object.keys(refs.tags).forEach(name => this._checkRefName(name, 'remote tag'));
+      
+      const tips = [refs.HEAD, ...Object.values(refs.branches), ...Object.values(refs.tags)];
+      const wants = [...new Set(tips.filter(id => id && !this._loadCommit(id)))];
+      let received = 0;
+      
+      if (wants.length > 0) {
+        const pack = await this._request(transport, { type: 'want', wants, haves: this._gcRoots(false) });
+        received = this._receivePack(this._decode(pack.commits));
+      }
+      
+      const branches = {};
+      for (const name in refs.branches) {
+        if (refs.branches[name]) branches[name] = refs.branches[name];
+      }
+      this.remotes[remote] = { branches, HEAD: refs.HEAD };
+      for (const name in refs.tags) {
+        if (!this.tags[name] && this._loadCommit(refs.tags[name])) {
+          this.tags[name] = { target: refs.tags[name], annotated: false };
+        }
+      }
+      this._autosave();
+      
+      return { success: true, received, branches: Object.assign({}, branches) };
+    }
+  
+    /**
+     * Uploads a branch to a remote replica. Only the commits the remote is missing are sent, and the
+     * remote branch is updated with a compare-and-swap: if it moved since it was advertised, or the
+     * update isn't a fast-forward and `force` isn't set, nothing changes and the push is rejected.
+     *
+     * @param {function(Object): Promise<Object>} transport - Sends a request to the remote's `handleSyncRequest()` and resolves with its response.
+     * @param {Object} [options={}] - Push options.
+     * @param {string} [options.branch] - The local branch to push. Defaults to the current branch.
+     * @param {string} [options.remoteBranch] - The remote branch to update. Defaults to the same name.
+     * @param {string} [options.remote='origin'] - The name of the remote, whose remote-tracking branch is updated on success.
+     * @param {boolean} [options.force=false] - Allow updates that are not fast-forwards.
+     * @returns {Promise<Object>} Resolves with `success`, `message`, the number of `commits` sent and any `rejected` updates.
+     * @throws {Error} If the branch doesn't exist or the remote reports an error.
+     */
+    async pushTo(transport, options = {}) {
+      const remote = options.remote || 'origin';
+      const branch = options.branch || this.currentBranch;
+      const remoteBranch = options.remoteBranch || branch;
+      const localTip = this.branches[branch];
+      if (!localTip) {
+        throw new Error(`Branch '${branch}' does not exist or has no commits`);
+      }
+      
+      const refs = await this._request(transport, { type: 'advertise' });
+      const remoteTip = refs.branches[remoteBranch] || null;
+      
+      if (remoteTip === localTip) {
+        return { success: true, message: 'Everything up to date', commits: 0, rejected: [] };
+      }
+      if (!options.force && remoteTip && !this._ancestors(localTip).has(remoteTip)) {
+        return {
+          success: false,
+          message: 'Rejected: the remote branch has commits that are not present locally',
+          commits: 0,
+          rejected: [{ ref: remoteBranch, reason: 'non-fast-forward' }]
+        };
+      }
+      
+      const remoteTips = [refs.HEAD, ...Object.values(refs.branches), ...Object.values(refs.tags)];
+      const commits = this._createPack([localTip], remoteTips.filter(id => this._loadCommit(id)));
+      const result = await this._request(transport, {
+        type: 'push',
+        commits: this._encode(commits),
+        updates: [{ ref: remoteBranch, oldId: remoteTip, newId: localTip }],
+        force: Boolean(options.force)
+      });
+      
+      if (result.success) {
+        const tracking = this.remotes[remote] || (this.remotes[remote] = { branches: {}, HEAD: refs.HEAD });
+        tracking.branches[remoteBranch] = localTip;
+        this._autosave();
+      }
+      
+      return { success: result.success, message: result.message, commits: commits.length, rejected: result.rejected };
+    }
+  
+    /**
+     * Fetches from a remote replica and merges its branch into the current branch.
+     *
+     * @param {function(Object): Promise<Object>} transport - Sends a request to the remote's `handleSyncRequest()` and resolves with its response.
+     * @param {Object} [options={}] - Pull options.
+     * @param {string} [options.remote='origin'] - The name of the remote.
+     * @param {string} [options.branch] - The remote branch to merge. Defaults to the current branch's name.
+     * @param {('merge'|'ff-only')} [options.strategy='merge'] - Whether to merge or only allow fast-forwards.
+     * @param {('ours'|'theirs')} [options.conflictResolution] - Passed to `merge()`.
+     * @returns {Promise<Object>} Resolves with the merge result and the number of commits `received`.
+     * @throws {Error} If the remote branch doesn't exist or the remote reports an error.
+     */
+    async pullFrom(transport, options = {}) {
+      const remote = options.remote || 'origin';
+      const fetched = await this.fetchFrom(transport, { remote });
+      const branch = options.branch || this.currentBranch || 'main';
+      const remoteTip = fetched.branches[branch];
+      if (!remoteTip) {
+        throw new Error(`Remote branch '${remote}/${branch}' does not exist`);
+      }
+      
+      if (options.strategy === 'ff-only' && this.HEAD && !this._ancestors(remoteTip).has(this.HEAD)) {
+        return { success: false, message: 'Not possible to fast-forward', commitId: null, conflicts: [], received: fetched.received };
+      }
+      
+      const result = this.merge(`${remote}/${branch}`, `${remote}/${branch}`, {
+        conflictResolution: options.conflictResolution
+      });
+      return Object.assign(result, { received: fetched.received });
+    }
+  
+    /**
+     * Serves sync protocol requests arriving on a message port, such as a `MessagePort`, `Worker`,
+     * `BroadcastChannel` or a WebSocket. Pair it with `VersionControl.createPortTransport()` on the other end.
+     *
+     * @param {Object} port - An object with `postMessage()` or `send()`, and `addEventListener()` or `on()`.
+     * @returns {Function} A function that stops serving.
+     */
+    serve(port) {
+      const channel = VersionControl._portChannel(port);
+      return channel.listen(message => {
+        if (!message || message.channel !== 'chronicle-sync' || !('request' in message)) return;
+        channel.send({ channel: 'chronicle-sync', id: message.id, response: this.handleSyncRequest(message.request) });
+      });
+    }
+  
+    /**
+     * Creates a transport that calls another instance's `handleSyncRequest()` directly. Messages are
+     * copied through JSON, so the two instances never share objects, just like over a real channel.
+     *
+     * @param {VersionControl} remoteVC - The remote instance.
+     * @returns {function(Object): Promise<Object>} The transport.
+     */
+    static createLocalTransport(remoteVC) {
+      const copy = value => JSON.parse(JSON.stringify(value));
+      return async request => copy(remoteVC.handleSyncRequest(copy(request)));
+    }
+  
+    /**
+     * Creates a transport that sends requests over a message port to an instance that is `serve()`-ing
+     * the other end. Responses are matched to requests by ID, so several requests may be in flight.
+     *
+     * @param {Object} port - An object with `postMessage()` or `send()`, and `addEventListener()` or `on()`.
+     * @param {Object} [options={}] - Transport options.
+     * @param {number} [options.timeout=30000] - Milliseconds to wait for a response before rejecting.
+     * @returns {function(Object): Promise<Object>} The transport.
+     */
+    static createPortTransport(port, options = {}) {
+      const channel = VersionControl._portChannel(port);
+      const timeout = options.timeout || 30000;
+      const pending = new Map();
+      let nextId = 1;
+      
+      channel.listen(message => {
+        if (!message || message.channel !== 'chronicle-sync' || !pending.has(message.id)) return;
+        const { resolve, timer } = pending.get(message.id);
+        pending.delete(message.id);
+        clearTimeout(timer);
+        resolve(message.response);
+      });
+      
+      return request => new Promise((resolve, reject) => {
+        const id = nextId++;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Sync request '${request.type}' timed out`));
+        }, timeout);
+        pending.set(id, { resolve, timer });
+        channel.send({ channel: 'chronicle-sync', id, request });
+      });
+    }
+  
+    /**
+     * Creates an exact copy of the `VersionControl` instance.
+     * The copy lives in memory only: it doesn't share this instance's storage adapter. With an asynchronous
+     * adapter, call `preload()` first.
+     *
+     * @returns {VersionControl} A new `VersionControl` instance with identical state.
+     */
+    clone() {
+      this._loadHistory();
+      const cloned = new VersionControl(null, this._copyOptions());
+      cloned.commits = this._deepClone(this.commits);
+      cloned.branches = this._deepClone(this.branches);
+      cloned.tags = this._deepClone(this.tags);
+      cloned.reflogs = this._deepClone(this.reflogs);
+      cloned.remotes = this._deepClone(this.remotes);
+      cloned.currentBranch = this.currentBranch;
+      cloned.HEAD = this.HEAD;
+      return cloned;
+    }
+  
+    /**
+     * Gets the working copy of this instance: a mutable, change-tracking copy of HEAD with a staging area.
+     * It is created on first use and shared by later calls.
+     *
+     * @returns {WorkingCopy} The working copy.
+     */
+    workingCopy() {
+      if (!this.activeWorkingCopy) {
+        this.activeWorkingCopy = new WorkingCopy(this);
+      }
+      return this.activeWorkingCopy;
+    }
+  
+    /**
+     * Checks if the current data has uncommitted changes compared to the HEAD commit.
+     * Called without arguments, it checks the working copy instead, comparing only the paths that changed.
+     *
+     * @param {*} [currentData] - The current data to compare against HEAD.
+     * @returns {boolean} `true` if there are changes, `false` otherwise.
+     */
+    isDirty(currentData) {
+      if (arguments.length === 0) {
+        return this.activeWorkingCopy ? this.activeWorkingCopy.isDirty() : false;
+      }
+      if (!this.HEAD) return currentData !== null;
+      const headData = this.getData();
+      return this._canonicalize(headData) !== this._canonicalize(currentData);
+    }
+  
+    /**
+     * Saves the current changes without committing them.
+     *
+     * @param {*} data - The data to stash.
+     * @param {string} [stashMessage='WIP'] - A message for the stash.
+     * @returns {number} The index of the new stash entry.
+     */
+    stash(data, stashMessage = 'WIP') {
+      if (!this.stashStack) this.stashStack = [];
+      
+      this.stashStack.push({
+        data: this._copyForStorage(data, this.HEAD),
+        message: stashMessage,
+        timestamp: this._now().toISOString(),
+        branch: this.currentBranch,
+        head: this.HEAD
+      });
+      
+      return this.stashStack.length - 1;
+    }
+  
+    /**
+     * Applies and removes the most recent stash.
+     *
+     * @returns {*} The data from the popped stash.
+     * @throws {Error} If there is no stash to pop.
+     */
+    stashPop() {
+      if (!this.stashStack || this.stashStack.length === 0) {
+        throw new Error('No stash to pop');
+      }
+      
+      const stash = this.stashStack.pop();
+      this._emitChange('stashPop', this._refState(), { stash: { message: stash.message, branch: stash.branch, head: stash.head } });
+      return stash.data;
+    }
+  
+    /**
+     * Applies a stash without removing it from the stash list.
+     *
+     * @param {number} [index=-1] - The index of the stash to apply. Defaults to the most recent stash.
+     * @returns {*} The data from the applied stash.
+     * @throws {Error} If there is no stash available.
+     */
+    stashApply(index = -1) {
+      if (!this.stashStack || this.stashStack.length === 0) {
+        throw new Error('No stash available');
+      }
+      
+      const stash = index === -1 
+        ? this.stashStack[this.stashStack.length - 1]
+        : this.stashStack[index];
+      
+      if (!stash) {
+        throw new Error(`Stash at index ${index} not found.`);
+      }
+      
+      if (this.options.immutable) {
+        if (!this.frozenValues.has(stash.data)) stash.data = this._share(stash.data);
+        return stash.data;
+      }
+      return this._deepClone(stash.data);
+    }
+  
+    /**
+     * Lists all stashes.
+     *
+     * @returns {Array<Object>} An array of stash objects.
+     */
+    stashList() {
+      if (!this.stashStack) return [];
+      return this.stashStack.map((s, i) => ({
+        index: i,
+        message: s.message,
+        timestamp: s.timestamp,
+        branch: s.branch
+      }));
+    }
+  
+    /**
+     * Writes unsaved commits, refs and state to the storage adapter.
+     * Only commits and refs that changed since the last save are written, one object at a time.
+     *
+     * @returns {Promise<Object>} Resolves with the number of `commits` and `refs` written and commits `deleted`.
+     * @throws {Error} If no storage adapter is configured.
+     */
+    async save() {
+      const adapter = this.options.adapter;
+      if (!adapter) {
+        throw new Error('No storage adapter configured');
+      }
+      
+      const commitIds = [...this.unsavedCommits];
+      const refNames = [...this.unsavedRefs];
+      const deletedIds = [...this.deletedCommits];
+      this.unsavedCommits.clear();
+      this.unsavedRefs.clear();
+      this.deletedCommits.clear();
+      
+      const writes = commitIds.map(id => adapter.writeCommit(this._encode(this.commits[id])));
+      for (const name of refNames) {
+        writes.push(this.branches[name] === undefined
+          ? adapter.deleteRef(name)
+          : adapter.writeRef(name, this.branches[name]));
+      }
+      writes.push(adapter.writeState(this._encode(this._persistentState())));
+      deletedIds.forEach(id => writes.push(adapter.deleteCommit(id)));
+      
+      try {
+        await Promise.all(writes);
+      } catch (error) {
+        commitIds.forEach(id => this.unsavedCommits.add(id));
+        refNames.forEach(name => this.unsavedRefs.add(name));
+        deletedIds.forEach(id => this.deletedCommits.add(id));
+        throw error;
+      }
+      
+      return { commits: commitIds.length, refs: refNames.length, deleted: deletedIds.length };
+    }
+  
+    /**
+     * Loads commits from the storage adapter into memory.
+     * Synchronous adapters load commits on demand, so this is only needed for asynchronous adapters
+     * such as `IndexedDBAdapter`, before reading commits that have not been loaded yet.
+     *
+     * @param {string} [target] - A branch name or commit ID whose history to load. Defaults to every branch and HEAD.
+     * @returns {Promise<number>} Resolves with the number of commits loaded.
+     * @throws {Error} If no storage adapter is configured.
+     */
+    async preload(target) {
+      const adapter = this.options.adapter;
+      if (!adapter) {
+        throw new Error('No storage adapter configured');
+      }
+      
+      const stack = target !== undefined
+        ? [this.branches[target] || target]
+        : [this.HEAD, ...Object.values(this.branches)];
+      const seen = new Set();
+      let loaded = 0;
+      
+      while (stack.length > 0) {
+        const commitId = stack.pop();
+        if (!commitId || seen.has(commitId)) continue;
+        seen.add(commitId);
+        
+        if (!this.commits[commitId]) {
+          if (!COMMIT_ID_PATTERN.test(commitId)) continue;
+          const commit = await adapter.readCommit(commitId);
+          if (!commit) continue;
+          this.commits[commitId] = this._checkStoredCommit(this._decode(commit), commitId);
+          loaded++;
+        }
+        stack.push(...this._parentsOf(this.commits[commitId]));
+      }
+      
+      return loaded;
+    }
+  
+    /**
+     * Opens a version history stored with a storage adapter.
+     * Only refs and state are read up front; commits are loaded lazily when they are first needed.
+     *
+     * @param {StorageAdapter} adapter - The storage adapter to load from.
+     * @param {Object} [options={}] - Constructor options for the new instance.
+     * @returns {Promise<VersionControl>} Resolves with the loaded instance.
+     */
+    static async load(adapter, options = {}) {
+      const vc = new VersionControl(null, Object.assign({}, options, { adapter }));
+      const [refs, stored] = await Promise.all([adapter.readRefs(), adapter.readState()]);
+      const state = stored && vc._decode(stored);
+      
+      vc.branches = Object.assign({}, refs);
+      if (state) {
+        vc.HEAD = state.HEAD;
+        vc.currentBranch = state.currentBranch;
+        vc.tags = state.tags || {};
+        vc.reflogs = state.reflogs || {};
+        vc.remotes = state.remotes || {};
+        vc.stashStack = state.stashStack || [];
+        vc.redoStacks = state.redoStacks || {};
+        vc.redoRefs = state.redoRefs || {};
+      }
+      
+      return vc;
+    }
+  
+    /**
+     * Registers a custom type with the codec used for snapshots, diffs, exports, storage and sync.
+     * Values of the type are then cloned, compared and serialized through `encode()`, whose result may
+     * contain any supported value, including other custom types. Registering a name again replaces it.
+     *
+     * @example
+     * VersionControl.registerType('Point', {
+     *   test: value => value instanceof Point,
+     *   encode: point => [point.x, point.y],
+     *   decode: ([x, y]) => new Point(x, y)
+     * });
+     *
+     * @param {string} name - A unique name for the type, stored in encoded data.
+     * @param {Object} handlers - The type's handlers.
+     * @param {function(*): boolean} handlers.test - Returns `true` for values of the type.
+     * @param {function(*): *} handlers.encode - Turns a value into data the codec already supports.
+     * @param {function(*): *} handlers.decode - Turns encoded data back into a value.
+     * @throws {Error} If the name is taken by a built-in type or a handler is missing.
+     */
+    static registerType(name, handlers) {
+      const builtIn = ['undefined', 'BigInt', 'Number', 'Ref', 'Object', 'Date', 'RegExp', 'Error', 'Map', 'Set'];
+      if (builtIn.includes(name) || BINARY_TYPES.includes(name)) {
+        throw new Error(`'${name}' is a built-in type`);
+      }
+      if (!handlers || ['test', 'encode', 'decode'].some(key => typeof handlers[key] !== 'function')) {
+        throw new Error('registerType() needs test, encode and decode functions');
+      }
+      VersionControl.customTypes.set(name, Object.assign({ name }, handlers));
+    }
+  
+    /**
+     * Removes commits that are no longer reachable, such as those left behind by `squash()`, `rebase()` or `undo()`.
+     * Commits reachable from HEAD, any branch, tag, stash entry, redo stack, redo ref or reflog entry are kept;
+     * everything else is deleted, including from the storage adapter on the next `save()`. With lazy
+     * loading, only commits already in memory are considered, so call `preload()` first for a full collection.
+     *
+     * @param {Object} [options={}] - Collection options.
+     * @param {boolean|Date|string|number} [options.expireReflog=false] - Drop reflog entries before collecting:
+     *   `true` drops all of them, a date drops those older than it.
+     * @returns {Object} An object with the number of commits `removed` and `kept`, and the `removedCommits` IDs.
+     */
+    gc(options = {}) {
+      if (options.expireReflog) {
+        const cutoff = options.expireReflog === true ? Infinity : new Date(options.expireReflog).getTime();
+        for (const ref in this.reflogs) {
+          this.reflogs[ref] = this.reflogs[ref].filter(entry => Date.parse(entry.timestamp) >= cutoff);
+        }
+      }
+      
+      const reachable = new Set();
+      for (const root of this._gcRoots()) {
+        for (const commitId of this._ancestors(root)) {
+          reachable.add(commitId);
+        }
+      }
+      
+      const removedCommits = Object.keys(this.commits).filter(commitId => !reachable.has(commitId));
+      for (const commitId of removedCommits) {
+        delete this.commits[commitId];
+        this.unsavedCommits.delete(commitId);
+        if (this.options.adapter) {
+          this.deletedCommits.add(commitId);
+        }
+      }
+      
+      this._autosave();
+      return { removed: removedCommits.length, kept: Object.keys(this.commits).length, removedCommits };
+    }
+  
+    /**
+     * Truncates old history according to a retention policy, then runs `gc()`.
+     * Branch, tag and HEAD tips are always kept. The oldest kept commits are rewritten into new root
+     * commits, which gives them and their descendants new IDs; refs are updated accordingly.
+     *
+     * @param {Object} policy - The retention policy. When both options are given, a commit must satisfy both to be kept.
+     * @param {number} [policy.keepLast] - Keep commits fewer than this many generations away from a tip.
+     * @param {Date|string|number} [policy.since] - Keep commits with a timestamp at or after this date.
+     * @returns {Object} The `gc()` stats plus the number of `rewritten` commits.
+     * @throws {Error} If no retention option is given.
+     */
+    truncateHistory(policy = {}) {
+      if (policy.keepLast === undefined && policy.since === undefined) {
+        throw new Error('truncateHistory() needs a keepLast or since policy');
+      }
+      
+      const tips = this._gcRoots(false);
+      const since = policy.since === undefined ? null : new Date(policy.since).getTime();
+      const depths = new Map();
+      const queue = tips.map(tip => [tip, 0]);
+      
+      while (queue.length > 0) {
+        const [commitId, depth] = queue.shift();
+        if (depths.has(commitId) || !this._loadCommit(commitId)) continue;
+        depths.set(commitId, depth);
+        for (const parent of this._parentsOf(this._loadCommit(commitId))) {
+          queue.push([parent, depth + 1]);
+        }
+      }
+      
+      const keep = new Set(tips);
+      for (const [commitId, depth] of depths) {
+        const recentEnough = since === null || Date.parse(this._loadCommit(commitId).timestamp) >= since;
+        const closeEnough = policy.keepLast === undefined || depth < policy.keepLast;
+        if (recentEnough && closeEnough) keep.add(commitId);
+      }
+      
+      const idMap = this._rewriteHistory(keep, null, 'truncateHistory');
+      const rewritten = [...idMap].filter(([oldId, newId]) => oldId !== newId).length;
+      
+      return Object.assign(this.gc(), { rewritten });
+    }
+  
+    /**
+     * Upgrades every commit to the current schema version by rewriting history with `migrations`.
+     * Migrated commits get new IDs, their descendants follow, and all refs are moved to the new commits.
+     * The old versions are no longer referenced, not even by the reflog, so the next `gc()` removes them.
+     * With an asynchronous storage adapter, call `preload()` first.
+     *
+     * @returns {Object} The number of commits `migrated` and `rewritten` (migrated commits and their descendants).
+     * @throws {Error} If no `schemaVersion` is configured, or a migration is missing or fails.
+     */
+    migrateAll() {
+      const target = this.options.schemaVersion;
+      if (target === null || target === undefined) {
+        throw new Error('migrateAll() needs a schemaVersion option');
+      }
+      
+      const keep = new Set();
+      this._gcRoots().forEach(root => this._ancestors(root).forEach(commitId => keep.add(commitId)));
+      
+      let migrated = 0;
+      const idMap = this._rewriteHistory(keep, (data, fields) => {
+        const version = fields.schemaVersion || 1;
+        if (version === target) return data;
+        migrated++;
+        fields.schemaVersion = target;
+        return this._upgrade(data, version);
+      }, 'migrateAll');
+      const rewritten = [...idMap].filter(([oldId, newId]) => oldId !== newId).length;
+      
+      return { migrated, rewritten };
+    }
+  
+    /**
+     * Verifies the integrity of the history by recomputing every commit ID from its contents.
+     * Commits whose content no longer matches their ID have been tampered with or corrupted.
+     *
+     * @returns {Object} An object with `valid`, the number of `checked` commits, and an `errors` array of `{ commitId, reason }` entries.
+     */
+    verify() {
+      const errors = [];
+      const commitIds = Object.keys(this.commits);
+      
+      for (const commitId of commitIds) {
+        const commit = this._loadCommit(commitId);
+        
+        if (commit.id !== commitId) {
+          errors.push({ commitId, reason: `Commit is stored under the wrong ID (${commit.id})` });
+          continue;
+        }
+        
+        const missing = this._parentsOf(commit).filter(parent => !this._loadCommit(parent));
+        if (missing.length > 0) {
+          errors.push({ commitId, reason: `Missing parent commit(s): ${missing.join(', ')}` });
+          continue;
+        }
+        
+        let data;
+        try {
+          data = this._readData(commitId);
+        } catch (error) {
+          errors.push({ commitId, reason: error.message });
+          continue;
+        }
+        
+        const expected = this._generateCommitId(commit, data);
+        if (expected !== commitId) {
+          errors.push({ commitId, reason: `Content hash ${expected} does not match commit ID` });
+        }
+      }
+      
+      for (const name in this.branches) {
+        const head = this.branches[name];
+        if (head && !this._loadCommit(head)) {
+          errors.push({ commitId: head, reason: `Branch '${name}' points to a missing commit` });
+        }
+      }
+      
+      for (const name in this.tags) {
+        if (!this._loadCommit(this.tags[name].target)) {
+          errors.push({ commitId: this.tags[name].target, reason: `Tag '${name}' points to a missing commit` });
+        }
+      }
+      
+      return { valid: errors.length === 0, checked: commitIds.length, errors };
+    }
+  
+    /**
+     * Exports version history to a JSON bundle that `import()` can read back.
+     * A bundle records its format and version, the commits (full data for the first commit of each chain,
+     * JSON patches after that), the refs and a SHA-1 checksum of its contents. Without options it holds
+     * the whole state, including reflogs, remote-tracking branches and stashes. A partial bundle holds one
+     * branch, or the commits of a range, plus the tags pointing into them; commits it builds on but doesn't
+     * contain are listed as `prerequisites`, which the importing instance must already have.
+     * Values JSON can't represent, such as Dates, Maps, Sets, BigInts and typed arrays, are encoded so
+     * that `import()` restores them exactly.
+     *
+     * @param {Object} [options={}] - Export options.
+     * @param {string} [options.branch] - Export only this branch and the commits reachable from it.
+     * @param {string} [options.range] - Export only the commits reachable from `to` but not from `from`, given as
+     *   `'from..to'` with any branch, tag or commit ID. If `to` is a branch name, the branch is exported too.
+     * @returns {string} The JSON string of the bundle.
+     * @throws {Error} If the branch or an end of the range is not found.
+     */
+    export(options = {}) {
+      const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION };
+      
+      if (options.branch === undefined && options.range === undefined) {
+        const included = new Set(Object.keys(this.commits));
+        this._gcRoots().forEach(root => this._ancestors(root).forEach(commitId => included.add(commitId)));
+        Object.assign(bundle, {
+          partial: false,
+          prerequisites: [],
+          commits: this._packEntries(included, new Set()),
+          refs: {
+            branches: this.branches,
+            tags: this.tags,
+            remotes: this.remotes,
+            currentBranch: this.currentBranch,
+            HEAD: this.HEAD
+          },
+          reflogs: this.reflogs,
+          stashStack: this.stashStack || []
+        });
+      } else {
+        let from = null;
+        let to = options.branch;
+        if (options.branch === undefined) {
+          const match = String(options.range).match(/^(.+?)\.\.(.+)$/);
+          if (!match) {
+            throw new Error(`Invalid range '${options.range}', expected 'from..to'`);
+          }
+          [, from, to] = match;
+        } else if (this.branches[to] === undefined) {
+          throw new Error(`Branch '${to}' does not exist`);
+        }
+        
+        const tip = this._resolveRef(to);
+        const base = from === null ? null : this._resolveRef(from);
+        for (const [ref, commitId] of [[to, tip], [from, base]]) {
+          if (ref !== null && !this._loadCommit(commitId)) {
+            throw new Error(`Branch, tag or commit '${ref}' not found`);
+          }
+        }
+        
+        const common = this._ancestors(base);
+        const included = new Set([...this._ancestors(tip)].filter(commitId => !common.has(commitId)));
+        const prerequisites = new Set();
+        const tags = {};
+        for (const commitId of included) {
+          this._parentsOf(this._loadCommit(commitId))
+            .filter(parent => !included.has(parent))
+            .forEach(parent => prerequisites.add(parent));
+        }
+        for (const name in this.tags) {
+          if (included.has(this.tags[name].target)) tags[name] = this.tags[name];
+        }
+        
+        Object.assign(bundle, {
+          partial: true,
+          prerequisites: [...prerequisites].sort(),
+          commits: this._packEntries(included, common),
+          refs: {
+            branches: this.branches[to] === undefined ? {} : { [to]: tip },
+            tags,
+            HEAD: tip
+          }
+        });
+      }
+      
+      bundle.checksum = this._sha1(this._canonicalize(bundle));
+      return JSON.stringify(this._encode(bundle));
+    }
+  
+    /**
+     * Imports version history from a JSON string written by `export()`.
+     * The bundle's format, version, checksum and structure are checked and every commit ID is recomputed
+     * from its contents before anything changes; if any check fails, nothing is imported. A full bundle
+     * replaces the whole state. A partial bundle adds its commits and tags, and creates or fast-forwards
+     * its branches, which requires its prerequisite commits to be present already.
+     * Exports from older versions, which have no format field, are still accepted.
+     * With a `schema` configured, the data of every imported commit is validated (after upgrading it to the
+     * current schema version) as well.
+     *
+     * @param {string} jsonString - The JSON string to import from.
+     * @param {Object} [options={}] - Import options.
+     * @param {boolean} [options.force=false] - For partial bundles, move branches that would not fast-forward and
+     *   replace tags that point elsewhere, instead of rejecting the import.
+     * @returns {Object} The number of new `commits` and the names of the `branches` that were imported.
+     * @throws {Error} If the bundle is invalid, damaged or can't be applied, or imported data fails schema validation.
+     */
+    import(jsonString, options = {}) {
+      let bundle;
+      try {
+        bundle = this._decode(JSON.parse(jsonString));
+      } catch (error) {
+        throw new Error(`Cannot import: ${error.message}`);
+      }
+      if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        throw new Error('Cannot import: not an exported history');
+      }
+      
+      const snapshot = this._snapshotState();
+      try {
+        const imported = bundle.format === undefined
+          ? this._importLegacy(bundle)
+          : this._importBundle(bundle, options);
+        
+        if (this.options.schema) {
+          for (const commitId of imported.commitIds) {
+            try {
+              this._validate(this._readCurrent(commitId));
+            } catch (error) {
+              throw new Error(`Cannot import commit ${commitId}: ${error.message}`);
+            }
+          }
+        }
+        
+        return { commits: imported.commits, branches: imported.branches };
+      } catch (error) {
+        this._restoreState(snapshot);
+        throw error;
+      }
+    }
+  
+    /**
+     * Exports the history into a Git repository as loose objects, so it can be inspected with ordinary Git
+     * tooling (`git log`, `git diff`, `git show`) and read back with `importGit()`. Requires Node.js.
+     * Each commit becomes a Git commit whose tree holds a single `data.json` file with the commit's data,
+     * encoded as in `export()` and pretty-printed so diffs are line by line. Branches, tags (annotated ones
+     * as tag objects), remote-tracking branches and HEAD are written as refs; existing refs of the same name
+     * are overwritten. If `directory` has no `.git` subdirectory, it is used as a bare repository and set
+     * up when needed. Fields Git has no place for, such as millisecond timestamps and metadata, are kept in
+     * an extra `chronicle` commit header that Git ignores.
+     *
+     * @param {string} directory - A Git working tree, or the directory of a bare repository.
+     * @returns {Object} The number of `commits` exported and the number of Git `objects` written.
+     * @throws {Error} If a branch, tag or remote name is not a valid Git ref name.
+     */
+    exportGit(directory) {
+      const fs = require('fs');
+      const path = require('path');
+      const gitDir = this._gitDirectory(directory, true);
+      const gitIds = new Map();
+      let objects = 0;
+      
+      const write = (type, content) => {
+        const { id, bytes } = this._gitObject(type, content);
+        const file = path.join(gitDir, 'objects', id.slice(0, 2), id.slice(2));
+        if (!fs.existsSync(file)) {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, require('zlib').deflateSync(bytes));
+          objects++;
+        }
+        return id;
+      };
+      const refsDir = path.join(gitDir, 'refs');
+      const writeRef = (name, id) => {
+        const file = path.join(gitDir, this._checkRefName(name));
+        if (!file.startsWith(`${refsDir}${path.sep}`)) {
+          throw new Error(`Ref ${name} is outside the repository's refs`);
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${id}\n`);
+      };
+      
+      const refNames = [
+        ...Object.keys(this.branches).map(name => `refs/heads/${name}`),
+        ...Object.keys(this.tags).map(name => `refs/tags/${name}`)
+      ];
+      for (const remote in this.remotes) {
+        refNames.push(...Object.keys(this.remotes[remote].branches).map(name => `refs/remotes/${remote}/${name}`));
+      }
+      if (!this.isDetached()) refNames.push(`refs/heads/${this.currentBranch}`);
+      refNames.forEach(name => this._checkRefName(name));
+      
+      const tips = [this.HEAD, ...Object.values(this.branches), ...Object.values(this.tags).map(tag => tag.target)];
+      for (const remote in this.remotes) {
+        tips.push(...Object.values(this.remotes[remote].branches));
+      }
+      const commitIds = new Set();
+      tips.forEach(tip => this._ancestors(tip).forEach(commitId => commitIds.add(commitId)));
+      
+      for (const commitId of this._topoOrder([...commitIds])) {
+        const commit = this._loadCommit(commitId);
+        const json = `${JSON.stringify(this._encode(this._readData(commitId)), null, 2)}\n`;
+        const blob = write('blob', Buffer.from(json));
+        const tree = write('tree', Buffer.concat([Buffer.from('100644 data.json\0'), Buffer.from(blob, 'hex')]));
+        
+        const fields = Object.assign({}, commit);
+        ['data', 'patch', 'message', 'parent', 'parents'].forEach(field => delete fields[field]);
+        const lines = [`tree ${tree}`];
+        this._parentsOf(commit).forEach(parent => lines.push(`parent ${gitIds.get(parent)}`));
+        lines.push(`author ${this._gitIdent(commit.author, commit.authorTimestamp || commit.timestamp)}`);
+        lines.push(`committer ${this._gitIdent(commit.committer || commit.author, commit.timestamp)}`);
+        lines.push(`chronicle ${JSON.stringify(this._encode(fields))}`);
+        gitIds.set(commitId, write('commit', Buffer.from(`${lines.join('\n')}\n\n${commit.message}\n`)));
+      }
+      
+      for (const name in this.branches) {
+        if (this.branches[name]) writeRef(`refs/heads/${name}`, gitIds.get(this.branches[name]));
+      }
+      for (const remote in this.remotes) {
+        for (const name in this.remotes[remote].branches) {
+          writeRef(`refs/remotes/${remote}/${name}`, gitIds.get(this.remotes[remote].branches[name]));
+        }
+      }
+      for (const name in this.tags) {
+        const tag = this.tags[name];
+        let id = gitIds.get(tag.target);
+        if (tag.annotated) {
+          const header = `object ${id}\ntype commit\ntag ${name}\ntagger ${this._gitIdent(null, tag.timestamp)}`;
+          id = write('tag', Buffer.from(`${header}\n\n${tag.message}\n`));
+        }
+        writeRef(`refs/tags/${name}`, id);
+      }
+      
+      const head = this.isDetached() ? gitIds.get(this.HEAD) : `ref: refs/heads/${this.currentBranch}`;
+      fs.writeFileSync(path.join(gitDir, 'HEAD'), `${head}\n`);
+      
+      return { commits: gitIds.size, objects };
+    }
+  
+    /**
+     * Imports history from the loose objects of a Git repository, such as one written by `exportGit()`.
+     * Requires Node.js. Every commit reachable from a branch, tag or remote-tracking ref must have a
+     * `data.json` file in its tree; commits written by `exportGit()` come back with their original IDs,
+     * while commits made with Git get new ones. The repository's branches, tags and remote-tracking
+     * branches are created or moved; HEAD follows the repository's HEAD if this instance has no commits
+     * yet. Packed objects are not supported, so don't run `git gc` on the repository before importing.
+     *
+     * @param {string} directory - A Git working tree, or the directory of a bare repository.
+     * @returns {Object} The number of new `commits` and the names of the imported `branches`.
+     * @throws {Error} If an object is missing or malformed, a ref name is not valid, or imported data fails
+     *   schema validation.
+     */
+    importGit(directory) {
+      const fs = require('fs');
+      const path = require('path');
+      const gitDir = this._gitDirectory(directory, false);
+      const read = id => this._readGitObject(gitDir, id);
+      
+      const refs = new Map();
+      const packedRefs = path.join(gitDir, 'packed-refs');
+      if (fs.existsSync(packedRefs)) {
+        for (const line of fs.readFileSync(packedRefs, 'utf8').split('\n')) {
+          const match = line.match(/^([0-9a-f]{40}) (refs\/.+)$/);
+          if (match) refs.set(match[2], match[1]);
+        }
+      }
+      const collect = name => {
+        const file = path.join(gitDir, name);
+        if (!fs.existsSync(file)) return;
+        if (fs.statSync(file).isDirectory()) {
+          fs.readdirSync(file).forEach(entry => collect(`${name}/${entry}`));
+        } else {
+          const id = fs.readFileSync(file, 'utf8').trim();
+          if (/^[0-9a-f]{40}$/.test(id)) refs.set(name, id);
+        }
+      };
+      ['refs/heads', 'refs/tags', 'refs/remotes'].forEach(collect);
+      refs.forEach((id, name) => this._checkRefName(name));
+      
+      const tags = {};
+      const tips = [];
+      for (const [name, id] of refs) {
+        let target = id;
+        const object = read(id);
+        if (object.type === 'tag') {
+          const { headers, message } = this._parseGitObject(object.content);
+          target = headers.object[0];
+          const tagger = headers.tagger ? this._parseGitIdent(headers.tagger[0]) : null;
+          tags[name.slice('refs/tags/'.length)] = {
+            target,
+            annotated: true,
+            message,
+            timestamp: tagger ? tagger.timestamp : this._now().toISOString()
+          };
+        } else if (name.startsWith('refs/tags/')) {
+          tags[name.slice('refs/tags/'.length)] = { target, annotated: false };
+        }
+        tips.push([name, target]);
+      }
+      
+      const parsed = new Map();
+      const visit = (root, branch) => {
+        const stack = [[root, false]];
+        const order = [];
+        while (stack.length > 0) {
+          const [id, expanded] = stack.pop();
+          if (expanded) {
+            order.push(id);
+            continue;
+          }
+          if (parsed.has(id)) continue;
+          const object = read(id);
+          if (object.type !== 'commit') {
+            throw new Error(`Git object ${id} is a ${object.type}, not a commit`);
+          }
+          const commit = Object.assign(this._parseGitObject(object.content), { branch });
+          parsed.set(id, commit);
+          stack.push([id, true]);
+          (commit.headers.parent || []).forEach(parent => stack.push([parent, false]));
+        }
+        return order;
+      };
+      const gitOrder = [];
+      for (const [name, target] of tips) {
+        gitOrder.push(...visit(target, name.replace(/^refs\/(heads|tags|remotes)\//, '')));
+      }
+      
+      const ids = new Map();
+      const pack = [];
+      for (const gitId of gitOrder) {
+        const { headers, message, branch } = parsed.get(gitId);
+        const data = this._decode(JSON.parse(this._gitTreeFile(gitDir, headers.tree[0], 'data.json')));
+        const parents = (headers.parent || []).map(parent => ids.get(parent));
+        
+        let fields;
+        if (headers.chronicle) {
+          fields = this._decode(JSON.parse(headers.chronicle[0]));
+        } else {
+          const author = this._parseGitIdent(headers.author[0]);
+          const committer = this._parseGitIdent(headers.committer[0]);
+          fields = { timestamp: author.timestamp, branch, author: author.identity };
+          if (committer.identity.name !== author.identity.name || committer.identity.email !== author.identity.email) {
+            fields.committer = committer.identity;
+          }
+        }
+        
+        const entry = Object.assign({ id: null, message }, fields);
+        entry.parent = parents[0] || null;
+        if (parents.length > 1) entry.parents = parents;
+        entry.data = data;
+        entry.id = this._generateCommitId(entry, data);
+        ids.set(gitId, entry.id);
+        pack.push(entry);
+      }
+      
+      const snapshot = this._snapshotState();
+      try {
+        const commits = this._receivePack(pack);
+        if (this.options.schema) {
+          for (const entry of pack) {
+            try {
+              this._validate(this._readCurrent(entry.id));
+            } catch (error) {
+              throw new Error(`Cannot import commit ${entry.id}: ${error.message}`);
+            }
+          }
+        }
+        
+        const branches = [];
+        for (const [name, target] of tips) {
+          const commitId = ids.get(target);
+          if (name.startsWith('refs/heads/')) {
+            const branch = name.slice('refs/heads/'.length);
+            branches.push(branch);
+            if (this.branches[branch] !== commitId) this._updateRef(branch, commitId, 'importGit');
+            if (branch === this.currentBranch && this.HEAD) this._setHead(commitId, 'importGit');
+          } else if (name.startsWith('refs/remotes/')) {
+            const [remote, ...rest] = name.slice('refs/remotes/'.length).split('/');
+            this.remotes[remote] = this.remotes[remote] || { branches: {}, HEAD: null };
+            this.remotes[remote].branches[rest.join('/')] = commitId;
+          }
+        }
+        for (const name in tags) {
+          this.tags[name] = Object.assign(tags[name], { target: ids.get(tags[name].target) });
+        }
+        
+        if (!this.HEAD) {
+          const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+          const match = head.match(/^ref: refs\/heads\/(.+)$/);
+          if (match && this.branches[match[1]]) {
+            this.currentBranch = match[1];
+            this._setHead(this.branches[match[1]], 'importGit');
+          } else if (ids.has(head)) {
+            this._setHead(ids.get(head), 'importGit');
+          }
+        }
+        
+        return { commits, branches };
+      } catch (error) {
+        this._restoreState(snapshot);
+        throw error;
+      }
+    }
+  
+    /**
+     * Checks and applies a bundle written by `export()`. The caller restores the previous state on failure.
+     * @private
+     * @param {Object} bundle - The decoded bundle.
+     * @param {Object} options - The `import()` options.
+     * @returns {{commits: number, branches: Array<string>, commitIds: Array<string>}} What was imported.
+     * @throws {Error} If the bundle fails a check.
+     */
+    _importBundle(bundle, options) {
+      if (bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(`Cannot import: unknown format '${bundle.format}'`);
+      }
+      if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Cannot import: unsupported bundle version ${bundle.version}`);
+      }
+      
+      const contents = Object.assign({}, bundle);
+      delete contents.checksum;
+      if (bundle.checksum !== this._sha1(this._canonicalize(contents))) {
+        throw new Error('Cannot import: bundle checksum does not match its contents');
+      }
+      
+      const refs = bundle.refs;
+      const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (!Array.isArray(bundle.commits) || !Array.isArray(bundle.prerequisites) || !isMap(refs) ||
+          !isMap(refs.branches) || !isMap(refs.tags)) {
+        throw new Error('Cannot import: malformed bundle');
+      }
+      for (const entry of bundle.commits) {
+        if (!isMap(entry) || typeof entry.id !== 'string' || !('data' in entry || 'patch' in entry)) {
+          throw new Error('Cannot import: malformed commit in bundle');
+        }
+      }
+      
+      if (!bundle.partial) {
+        this.commits = {};
+        this.branches = {};
+        this.tags = {};
+        this.reflogs = {};
+        this.remotes = {};
+        this.redoStacks = {};
+        this.redoRefs = {};
+      }
+      
+      const missing = bundle.prerequisites.filter(commitId => !this._loadCommit(commitId));
+      if (missing.length > 0) {
+        throw new Error(`Cannot import: missing prerequisite commit(s): ${missing.join(', ')}`);
+      }
+      
+      const commits = this._receivePack(bundle.commits);
+      const targets = [refs.HEAD, ...Object.values(refs.branches), ...Object.values(refs.tags).map(tag => tag.target)];
+      for (const remote of Object.values(refs.remotes || {})) {
+        targets.push(...Object.values(remote.branches));
+      }
+      for (const commitId of targets) {
+        if (commitId && !this._loadCommit(commitId)) {
+          throw new Error(`Cannot import: ref points to missing commit ${commitId}`);
+        }
+      }
+      
+      if (!bundle.partial) {
+        this.branches = refs.branches;
+        this.tags = refs.tags;
+        this.remotes = refs.remotes || {};
+        this.currentBranch = refs.currentBranch;
+        this.HEAD = refs.HEAD;
+        this.reflogs = bundle.reflogs || {};
+        this.stashStack = bundle.stashStack || [];
+      } else {
+        for (const name in refs.branches) {
+          const current = this.branches[name];
+          if (current && !options.force && !this._ancestors(refs.branches[name]).has(current)) {
+            throw new Error(`Cannot import: branch '${name}' would not fast-forward`);
+          }
+        }
+        for (const name in refs.tags) {
+          const current = this.tags[name];
+          if (current && !options.force && current.target !== refs.tags[name].target) {
+            throw new Error(`Cannot import: tag '${name}' already exists`);
+          }
+        }
+        
+        for (const name in refs.branches) {
+          if (this.branches[name] === refs.branches[name]) continue;
+          this._updateRef(name, refs.branches[name], 'import');
+          if (name === this.currentBranch) this._setHead(refs.branches[name], 'import');
+        }
+        Object.assign(this.tags, refs.tags);
+      }
+      
+      return {
+        commits,
+        branches: Object.keys(refs.branches),
+        commitIds: bundle.partial ? bundle.commits.map(entry => entry.id) : Object.keys(this.commits)
+      };
+    }
+  
+    /**
+     * Checks and applies an export written before bundles had a format field. Such exports carry no checksum,
+     * so only their structure and refs are checked. The caller restores the previous state on failure.
+     * @private
+     * @param {Object} data - The decoded export.
+     * @returns {{commits: number, branches: Array<string>, commitIds: Array<string>}} What was imported.
+     * @throws {Error} If the export is malformed.
+     */
+    _importLegacy(data) {
+      const isMap = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (!isMap(data.commits) || !isMap(data.branches)) {
+        throw new Error('Cannot import: malformed export');
+      }
+      for (const commitId in data.commits) {
+        if (!isMap(data.commits[commitId]) || data.commits[commitId].id !== commitId) {
+          throw new Error(`Cannot import: malformed commit ${commitId}`);
+        }
+      }
+      
+      const tags = data.tags || {};
+      const targets = [data.HEAD, ...Object.values(data.branches), ...Object.values(tags).map(tag => tag.target)];
+      for (const commitId of targets) {
+        if (commitId && !data.commits[commitId]) {
+          throw new Error(`Cannot import: ref points to missing commit ${commitId}`);
+        }
+      }
+      
+      this.commits = data.commits;
+      this.branches = data.branches;
+      this.tags = tags;
+      this.reflogs = data.reflogs || {};
+      this.remotes = data.remotes || {};
+      this.currentBranch = data.currentBranch;
+      this.HEAD = data.HEAD;
+      this.stashStack = data.stashStack || [];
+      
+      const commitIds = Object.keys(this.commits);
+      return { commits: commitIds.length, branches: Object.keys(this.branches), commitIds };
+    }
+  
+    /**
+     * Finds the Git directory of a repository: `directory/.git` if it exists, otherwise `directory` itself.
+     * @private
+     * @param {string} directory - A Git working tree, or the directory of a bare repository.
+     * @param {boolean} create - Set up a bare repository if there is none.
+     * @returns {string} The path of the Git directory.
+     * @throws {Error} If there is no repository and `create` is false.
+     */
+    _gitDirectory(directory, create) {
+      const fs = require('fs');
+      const path = require('path');
+      const dotGit = path.join(directory, '.git');
+      if (fs.existsSync(dotGit)) return dotGit;
+      
+      if (!fs.existsSync(path.join(directory, 'HEAD'))) {
+        if (!create) {
+          throw new Error(`No Git repository found at ${directory}`);
+        }
+        fs.mkdirSync(path.join(directory, 'objects'), { recursive: true });
+        fs.mkdirSync(path.join(directory, 'refs', 'heads'), { recursive: true });
+        fs.mkdirSync(path.join(directory, 'refs', 'tags'), { recursive: true });
+        fs.writeFileSync(path.join(directory, 'config'), '[core]\n\trepositoryformatversion = 0\n\tbare = true\n');
+        fs.writeFileSync(path.join(directory, 'HEAD'), 'ref: refs/heads/main\n');
+      }
+      return directory;
+    }
+  
+    /**
+     * Builds a Git object and computes its ID.
+     * @private
+     * @param {string} type - The object type: `blob`, `tree`, `commit` or `tag`.
+     * @param {Buffer} content - The object's content.
+     * @returns {{id: string, bytes: Buffer}} The object ID and the uncompressed object, header included.
+     */
+    _gitObject(type, content) {
+      const bytes = Buffer.concat([Buffer.from(`${type} ${content.length}\0`), content]);
+      return { id: this._sha1(bytes), bytes };
+    }
+  
+    /**
+     * Reads a loose object from a Git directory and checks it against its ID.
+     * @private
+     * @param {string} gitDir - The Git directory.
+     * @param {string} id - The object ID.
+     * @returns {{type: string, content: Buffer}} The object's type and content.
+     * @throws {Error} If the object is missing or doesn't match its ID.
+     */
+    _readGitObject(gitDir, id) {
+      const fs = require('fs');
+      const path = require('path');
+      const file = path.join(gitDir, 'objects', id.slice(0, 2), id.slice(2));
+      if (!fs.existsSync(file)) {
+        throw new Error(`Git object ${id} not found (packed objects are not supported)`);
+      }
+      
+      const bytes = require('zlib').inflateSync(fs.readFileSync(file));
+      if (this._sha1(bytes) !== id) {
+        throw new Error(`Git object ${id} is corrupt`);
+      }
+      const space = bytes.indexOf(0x20);
+      const nul = bytes.indexOf(0);
+      return { type: bytes.slice(0, space).toString(), content: bytes.slice(nul + 1) };
+    }
+  
+    /**
+     * Splits a Git commit or tag object into its headers and message.
+     * @private
+     * @param {Buffer} content - The object's content.
+     * @returns {{headers: Object<string, Array<string>>, message: string}} The values of each header, in order, and the message.
+     */
+    _parseGitObject(content) {
+      const text = content.toString('utf8');
+      const end = text.indexOf('\n\n');
+      const headers = {};
+      let last = null;
+      for (const line of (end === -1 ? text : text.slice(0, end)).split('\n')) {
+        if (line.startsWith(' ') && last) {
+          last.push(`${last.pop()}\n${line.slice(1)}`);
+          continue;
+        }
+        const space = line.indexOf(' ');
+        const name = line.slice(0, space);
+        last = headers[name] = headers[name] || [];
+        last.push(line.slice(space + 1));
+      }
+      const message = end === -1 ? '' : text.slice(end + 2);
+      return { headers, message: message.endsWith('\n') ? message.slice(0, -1) : message };
+    }
+  
+    /**
+     * Reads a file from the top level of a Git tree.
+     * @private
+     * @param {string} gitDir - The Git directory.
+     * @param {string} treeId - The ID of the tree object.
+     * @param {string} name - The file name.
+     * @returns {string} The file's contents.
+     * @throws {Error} If the tree has no such file.
+     */
+    _gitTreeFile(gitDir, treeId, name) {
+      const { content } = this._readGitObject(gitDir, treeId);
+      let offset = 0;
+      while (offset < content.length) {
+        const nul = content.indexOf(0, offset);
+        const entryName = content.slice(content.indexOf(0x20, offset) + 1, nul).toString('utf8');
+        const id = content.slice(nul + 1, nul + 21).toString('hex');
+        if (entryName === name) {
+          return this._readGitObject(gitDir, id).content.toString('utf8');
+        }
+        offset = nul + 21;
+      }
+      throw new Error(`Git tree ${treeId} has no ${name}`);
+    }
+  
+    /**
+     * Formats an identity and timestamp as a Git author, committer or tagger line.
+     * @private
+     * @param {?{name: ?string, email: ?string}} identity - The identity, if any.
+     * @param {string} timestamp - The ISO timestamp.
+     * @returns {string} The line, without the header name.
+     */
+    _gitIdent(identity, timestamp) {
+      const clean = value => String(value || '').replace(/[<>\n]/g, '').trim();
+      const name = clean(identity && identity.name) || 'unknown';
+      const seconds = Math.floor(Date.parse(timestamp || this._now().toISOString()) / 1000);
+      return `${name} <${clean(identity && identity.email)}> ${seconds} +0000`;
+    }
+  
+    /**
+     * Parses a Git author, committer or tagger line.
+     * @private
+     * @param {string} line - The line, without the header name.
+     * @returns {{identity: {name: ?string, email: ?string}, timestamp: string}} The identity and ISO timestamp.
+     */
+    _parseGitIdent(line) {
+      const match = line.match(/^(.*?)\s*<([^>]*)>\s*(\d+)\s*([+-]\d{4})?$/);
+      if (!match) {
+        return { identity: this._parseIdentity(line), timestamp: this._now().toISOString() };
+      }
+      return {
+        identity: { name: match[1] || null, email: match[2] || null },
+        timestamp: new Date(Number(match[3]) * 1000).toISOString()
+      };
+    }
+  
+    /**
+     * Gets a commit object, loading it from a synchronous storage adapter if it is not in memory yet.
+     * @private
+     * @param {string} commitId - The ID of the commit.
+     * @returns {Object|undefined} The commit object, or undefined if it doesn't exist or hasn't been preloaded.
+     */
+    _loadCommit(commitId) {
+      if (!commitId) return undefined;
+      if (this.commits[commitId]) return this.commits[commitId];
+      
+      const adapter = this.options.adapter;
+      if (!adapter || !COMMIT_ID_PATTERN.test(commitId)) return undefined;
+      
+      const commit = adapter.readCommit(commitId);
+      if (!commit || typeof commit.then === 'function') return undefined;
+      
+      this.commits[commitId] = this._checkStoredCommit(this._decode(commit), commitId);
+      return this.commits[commitId];
+    }
+  
+    /**
+     * Loads every commit reachable from a ref, reflog entry or stash from a synchronous storage adapter.
+     * @private
+     * @throws {Error} If a commit can't be loaded because the adapter is asynchronous.
+     */
+    _loadHistory() {
+      if (!this.options.adapter) return;
+      
+      const seen = new Set();
+      const stack = this._gcRoots();
+      while (stack.length > 0) {
+        const commitId = stack.pop();
+        if (seen.has(commitId)) continue;
+        seen.add(commitId);
+        const commit = this._loadCommit(commitId);
+        if (!commit) {
+          throw new Error(`Commit ${commitId} is not loaded; call preload() first`);
+        }
+        stack.push(...this._parentsOf(commit));
+      }
+    }
+  
+    /**
+     * Gets the options for an in-memory copy of this instance, without the storage adapter.
+     * @private
+     * @returns {Object} The options.
+     */
+    _copyOptions() {
+      return Object.assign({}, this.options, { adapter: null, autosave: false });
+    }
+  
+    /**
+     * Checks that a commit read from a storage adapter is the one that was asked for.
+     * @private
+     * @param {Object} commit - The decoded commit object.
+     * @param {string} commitId - The requested commit ID.
+     * @returns {Object} The commit object.
+     * @throws {Error} If the stored commit has a different ID.
+     */
+    _checkStoredCommit(commit, commitId) {
+      if (!commit || commit.id !== commitId) {
+        throw new Error(`Stored commit ${commitId} has a different ID (${commit && commit.id})`);
+      }
+      return commit;
+    }
+  
+    /**
+     * Adds a commit object to the store and marks it for the next `save()`.
+     * @private
+     * @param {Object} commit - The commit object.
+     */
+    _putCommit(commit) {
+      this.commits[commit.id] = commit;
+      if (this.options.adapter) {
+        this.unsavedCommits.add(commit.id);
+      }
+    }
+  
+    /**
+     * Copies every commit of another instance that this instance doesn't have yet.
+     * @private
+     * @param {VersionControl} otherVC - The instance to copy commits from.
+     */
+    _copyCommitsFrom(otherVC) {
+      for (const commitId in otherVC.commits) {
+        if (!this._loadCommit(commitId)) {
+          this._putCommit(this._deepClone(otherVC.commits[commitId]));
+        }
+      }
+    }
+  
+    /**
+     * Saves to the storage adapter in the background when autosave is enabled.
+     * Failures are reported through the `error` event.
+     * @private
+     */
+    _autosave() {
+      if (this.activeTransaction || !this.options.adapter || !this.options.autosave) return;
+      this.pendingSave = this.save().catch(error => this._emit('error', error));
+    }
+  
+    /**
+     * Collects the state that is persisted alongside commits and refs.
+     * @private
+     * @returns {Object} The HEAD, current branch, tags, reflogs, remote-tracking branches, stash stack, redo stacks
+     *   and redo refs.
+     */
+    _persistentState() {
+      return {
+        HEAD: this.HEAD,
+        currentBranch: this.currentBranch,
+        tags: this.tags,
+        reflogs: this.reflogs,
+        remotes: this.remotes,
+        stashStack: this.stashStack || [],
+        redoStacks: this.redoStacks,
+        redoRefs: this.redoRefs
+      };
+    }
+  
+    /**
+     * Moves HEAD, and the current branch with it unless HEAD is detached, to a commit.
+     * @private
+     * @param {string} commitId - The commit to move to.
+     * @param {string} operation - The name of the operation moving the refs.
+     * @throws {Error} If a `pre-ref-update` hook rejects the move.
+     */
+    _advance(commitId, operation) {
+      if (!this.isDetached()) {
+        this._updateRef(this.currentBranch, commitId, operation);
+      }
+      this._setHead(commitId, operation);
+    }
+  
+    /**
+     * Resolves a branch name, tag name, `HEAD`, reflog entry (`main@{2}`), point in time (`main@{2026-10-01T15:00}`,
+     * see `getDataAt()`), remote-tracking branch (`origin/main`), redo ref (`redo/main/1`) or commit ID to a
+     * commit ID. Branch names take precedence over tag names. Inside `@{}`, a number of up to 9 digits is a reflog index and a longer one a
+     * time in milliseconds since the epoch (`main@{1700000000000}`).
+     * @private
+     * @param {string} ref - The ref to resolve.
+     * @returns {string} The commit ID, or the ref unchanged if it isn't a known branch, tag or reflog entry.
+     */
+    _resolveRef(ref) {
+      const reflogMatch = typeof ref === 'string' && ref.match(/^(.*)@\{(\d{1,9})\}$/);
+      if (reflogMatch) {
+        const entry = this.reflog(reflogMatch[1] || 'HEAD')[Number(reflogMatch[2])];
+        return entry ? entry.newId : ref;
+      }
+      
+      const dateMatch = typeof ref === 'string' && ref.match(/^(.*)@\{([^}]+)\}$/);
+      if (dateMatch) {
+        const tip = this._resolveRef(dateMatch[1] || 'HEAD');
+        const time = new Date(/^\d+$/.test(dateMatch[2]) ? Number(dateMatch[2]) : dateMatch[2]).getTime();
+        if (!this._loadCommit(tip) || Number.isNaN(time)) return ref;
+        return this._commitAt(tip, time) || ref;
+      }
+      
+      if (ref === 'HEAD') return this.HEAD;
+      if (this.branches[ref]) return this.branches[ref];
+      if (this.tags[ref]) return this.tags[ref].target;
+      if (this.redoRefs[ref]) return this.redoRefs[ref];
+      
+      const slash = typeof ref === 'string' ? ref.indexOf('/') : -1;
+      const remote = slash > 0 && this.remotes[ref.slice(0, slash)];
+      if (remote && remote.branches[ref.slice(slash + 1)]) return remote.branches[ref.slice(slash + 1)];
+      return ref;
+    }
+  
+    /**
+     * Resolves a ref that must point at a commit.
+     * @private
+     * @param {string} ref - The ref.
+     * @returns {string} The commit ID.
+     * @throws {Error} If the ref is not found.
+     */
+    _resolveTip(ref) {
+      const commitId = this._resolveRef(ref);
+      if (!this._loadCommit(commitId)) {
+        throw new Error(`Branch, tag or commit '${ref}' not found`);
+      }
+      return commitId;
+    }
+  
+    /**
+     * Checks a branch, tag or remote name against Git's `check-ref-format` rules, so it can be used as a
+     * path under `refs/`: no empty segments or segments starting with `.` or ending with `.lock`, no `..`,
+     * `@{`, control characters, spaces or any of `~^:?*[\`, and no trailing `.`. Segments that would reach
+     * an object's prototype, such as `__proto__`, are refused as well.
+     * @private
+     * @param {string} name - The name.
+     * @param {string} [kind='ref'] - What the name is for, used in the error message.
+     * @returns {string} The name.
+     * @throws {Error} If the name is not valid.
+     */
+    _checkRefName(name, kind = 'ref') {
+      const valid = typeof name === 'string' &&
+        name !== '@' &&
+        !/[\x00-\x20\x7f~^:?*[\\]|\.\.|@\{|\.$/.test(name) &&
+        name.split('/').every(segment => segment !== '' && !segment.startsWith('.') && !segment.endsWith('.lock') &&
+          !RESERVED_KEYS.includes(segment));
+      if (!valid) {
+        throw new Error(`Invalid ${kind} name '${name}'`);
+      }
+      return name;
+    }
+  
+    /**
+     * Converts a point in time to milliseconds since the epoch.
+     * @private
+     * @param {Date|string|number} date - The point in time.
+     * @returns {number} The time in milliseconds.
+     * @throws {Error} If the date is invalid.
+     */
+    _parseTime(date) {
+      const time = new Date(date).getTime();
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid date '${date}'`);
+      }
+      return time;
+    }
+  
+    /**
+     * Finds the newest commit on a commit's first-parent history made at or before a point in time.
+     * @private
+     * @param {string} tip - The commit whose history to search.
+     * @param {number} time - The time in milliseconds.
+     * @returns {?string} The commit ID, or null if the history starts later.
+     */
+    _commitAt(tip, time) {
+      const timeline = this._timeline(tip);
+      const index = this._timelineIndex(timeline, time);
+      return index >= 0 ? timeline.ids[index] : null;
+    }
+  
+    /**
+     * Builds the timeline of a commit's first-parent history, oldest first, for binary searches by time.
+     * Each entry's time is the newest timestamp up to that commit, so times never decrease even if
+     * timestamps do. Commits never change, so timelines are cached by commit ID, and a new commit's
+     * timeline extends its parent's.
+     * @private
+     * @param {string} tip - The newest commit.
+     * @returns {{ids: Array<string>, times: Array<number>}} The commit IDs and their times.
+     */
+    _timeline(tip) {
+      const cached = this.timelines.get(tip);
+      if (cached) return cached;
+      
+      const pending = [];
+      let base = null;
+      let current = tip;
+      while (current) {
+        base = this.timelines.get(current) || null;
+        const commit = base ? null : this._loadCommit(current);
+        if (!commit) break;
+        pending.push(commit);
+        current = commit.parent;
+      }
+      
+      const ids = base ? base.ids.slice() : [];
+      const times = base ? base.times.slice() : [];
+      for (let i = pending.length - 1; i >= 0; i--) {
+        const time = Date.parse(pending[i].timestamp);
+        ids.push(pending[i].id);
+        times.push(times.length > 0 ? Math.max(times[times.length - 1], time) : time);
+      }
+      
+      const timeline = { ids, times };
+      if (base || !current) {
+        this.timelines.set(tip, timeline);
+        if (this.timelines.size > 32) {
+          this.timelines.delete(this.timelines.keys().next().value);
+        }
+      }
+      return timeline;
+    }
+  
+    /**
+     * Binary-searches a timeline for the last entry at or before a point in time.
+     * @private
+     * @param {{ids: Array<string>, times: Array<number>}} timeline - The timeline.
+     * @param {number} time - The time in milliseconds.
+     * @returns {number} The index of the entry, or -1 if every entry is later.
+     */
+    _timelineIndex(timeline, time) {
+      let low = 0;
+      let high = timeline.times.length - 1;
+      let found = -1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (timeline.times[middle] <= time) {
+          found = middle;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+      return found;
+    }
+  
+    /**
+     * Gets the current time from the `clock` option.
+     * @private
+     * @returns {Date} The current time.
+     */
+    _now() {
+      return new Date(this.options.clock());
+    }
+  
+    /**
+     * Moves HEAD to a commit, recording the move in the HEAD reflog.
+     * @private
+     * @param {string|null} commitId - The commit to point HEAD at.
+     * @param {string} operation - The name of the operation moving HEAD.
+     */
+    _setHead(commitId, operation) {
+      if (commitId !== this.HEAD) {
+        this._recordReflog('HEAD', this.HEAD, commitId, operation);
+      }
+      this.HEAD = commitId;
+    }
+  
+    /**
+     * Appends an entry to a ref's reflog, dropping the oldest entries beyond `reflogLimit`.
+     * @private
+     * @param {string} ref - `HEAD` or a branch name.
+     * @param {string|null} oldId - The previous commit ID.
+     * @param {string|null} newId - The new commit ID.
+     * @param {string} operation - The name of the operation that moved the ref.
+     */
+    _recordReflog(ref, oldId, newId, operation) {
+      if (!this.reflogs[ref]) this.reflogs[ref] = [];
+      
+      const entries = this.reflogs[ref];
+      entries.push({ oldId: oldId || null, newId: newId || null, operation, timestamp: this._now().toISOString() });
+      if (entries.length > this.options.reflogLimit) {
+        entries.splice(0, entries.length - this.options.reflogLimit);
+      }
+    }
+  
+    /**
+     * Points a branch at a commit, running `pre-ref-update` hooks first and emitting `ref-update` afterwards.
+     * @private
+     * @param {string} name - The branch name.
+     * @param {string|null} commitId - The commit to point the branch at.
+     * @param {string} operation - The name of the operation moving the ref.
+     * @throws {Error} If a `pre-ref-update` hook rejects the move.
+     */
+    _updateRef(name, commitId, operation) {
+      const oldId = this.branches[name] === undefined ? null : this.branches[name];
+      const event = { ref: name, oldId, newId: commitId, operation };
+      
+      this._runHook('pre-ref-update', event);
+      this.branches[name] = commitId;
+      this._recordReflog(name, oldId, commitId, operation);
+      this.unsavedRefs.add(name);
+      this._emit('ref-update', event);
+      
+      if (operation !== 'undo' && operation !== 'redo') {
+        this._discardRedo(name);
+      }
+    }
+  
+    /**
+     * Deletes a branch ref, running `pre-ref-update` hooks first and emitting `ref-update` with a null `newId` afterwards.
+     * @private
+     * @param {string} name - The branch name.
+     * @param {string} operation - The name of the operation deleting the ref.
+     * @throws {Error} If a `pre-ref-update` hook rejects the deletion.
+     */
+    _deleteRef(name, operation) {
+      const event = { ref: name, oldId: this.branches[name], newId: null, operation };
+      
+      this._runHook('pre-ref-update', event);
+      delete this.branches[name];
+      delete this.redoStacks[name];
+      delete this.reflogs[name];
+      this.unsavedRefs.add(name);
+      this._emit('ref-update', event);
+    }
+  
+    /**
+     * Checks whether a commit is reachable from HEAD or from any branch or tag other than the given branch.
+     * @private
+     * @param {string} commitId - The commit to look for.
+     * @param {string} [exceptBranch] - A branch to ignore, usually the one the commit is the tip of.
+     * @returns {boolean} `true` if the commit is reachable from another ref.
+     */
+    _isMerged(commitId, exceptBranch) {
+      const heads = [this.HEAD];
+      for (const name in this.branches) {
+        if (name !== exceptBranch) heads.push(this.branches[name]);
+      }
+      for (const name in this.tags) {
+        heads.push(this.tags[name].target);
+      }
+      
+      return heads.some(head => head && this._ancestors(head).has(commitId));
+    }
+  
+    /**
+     * Collects the commit IDs that keep history alive during garbage collection.
+     * @private
+     * @param {boolean} [includeReflog=true] - Whether commits only referenced by the reflog count as roots.
+     * @returns {Array<string>} The commits pointed to by HEAD, branches, tags, stash entries, redo stacks,
+     *   redo refs, remote-tracking branches and reflogs.
+     */
+    _gcRoots(includeReflog = true) {
+      const roots = [this.HEAD, ...Object.values(this.branches)];
+      for (const name in this.tags) {
+        roots.push(this.tags[name].target);
+      }
+      for (const stash of this.stashStack || []) {
+        roots.push(stash.head);
+      }
+      for (const name in this.redoStacks) {
+        roots.push(...this.redoStacks[name]);
+      }
+      roots.push(...Object.values(this.redoRefs));
+      for (const remote in this.remotes) {
+        roots.push(...Object.values(this.remotes[remote].branches));
+      }
+      if (includeReflog) {
+        for (const ref in this.reflogs) {
+          for (const entry of this.reflogs[ref]) {
+            roots.push(entry.oldId, entry.newId);
+          }
+        }
+      }
+      return [...new Set(roots.filter(Boolean))];
+    }
+  
+    /**
+     * Rewrites history so that only the given commits remain, optionally transforming their data.
+     * Commits whose parents or data change are recreated with new IDs, their descendants follow, and
+     * every ref pointing at a rewritten commit is moved to its replacement. Refs pointing at dropped
+     * commits are left for the caller to handle; dropped parents are simply cut off. Reflog entries are
+     * moved to the new commits too, so the replaced commits are left for `gc()`.
+     * @private
+     * @param {Set<string>} keep - The IDs of the commits to keep.
+     * @param {function(*, Object): *} [transformData] - Returns the new data for a commit, given its data and a copy of
+     *   its other fields (author, timestamp, schema version, ...), which it may modify.
+     * @param {string} operation - The name of the operation, used for ref updates.
+     * @returns {Map<string, string>} A map from old to new commit ID for every kept commit.
+     */
+    _rewriteHistory(keep, transformData, operation) {
+      const idMap = new Map();
+      
+      for (const commitId of this._topoOrder([...keep])) {
+        const commit = this._loadCommit(commitId);
+        const oldParents = this._parentsOf(commit);
+        const parents = oldParents.filter(parent => keep.has(parent)).map(parent => idMap.get(parent));
+        const data = this._readData(commitId);
+        const extra = Object.assign({}, commit);
+        ['id', 'data', 'patch', 'parent', 'parents', 'message'].forEach(key => delete extra[key]);
+        const fields = this._canonicalize(extra);
+        const newData = transformData ? transformData(this._deepClone(data), extra) : data;
+        
+        const unchanged = parents.length === oldParents.length &&
+          parents.every((parent, i) => parent === oldParents[i]) &&
+          (!transformData || (this._canonicalize(newData) === this._canonicalize(data) &&
+            this._canonicalize(extra) === fields));
+        
+        if (unchanged) {
+          idMap.set(commitId, commitId);
+          continue;
+        }
+        
+        idMap.set(commitId, this._createCommit(newData, commit.message, parents, extra));
+      }
+      
+      const remap = commitId => (idMap.has(commitId) ? idMap.get(commitId) : commitId);
+      const recorded = new Set(Object.values(this.reflogs).flat());
+      
+      for (const name in this.tags) {
+        this.tags[name].target = remap(this.tags[name].target);
+      }
+      for (const stash of this.stashStack || []) {
+        stash.head = remap(stash.head);
+      }
+      for (const name in this.redoStacks) {
+        this.redoStacks[name] = this.redoStacks[name].map(remap);
+      }
+      for (const name in this.redoRefs) {
+        this.redoRefs[name] = remap(this.redoRefs[name]);
+      }
+      for (const remote in this.remotes) {
+        const branches = this.remotes[remote].branches;
+        for (const name in branches) {
+          if (keep.has(branches[name])) branches[name] = remap(branches[name]);
+          else delete branches[name];
+        }
+      }
+      for (const name in this.branches) {
+        if (this.branches[name] && remap(this.branches[name]) !== this.branches[name]) {
+          this._updateRef(name, remap(this.branches[name]), operation);
+        }
+      }
+      this._setHead(remap(this.HEAD), operation);
+      this.lastCommitId = null;
+      
+      // The entries just written for the rewrite would keep the old tips alive, so they record no old ID.
+      for (const ref in this.reflogs) {
+        this.reflogs[ref] = this.reflogs[ref]
+          .filter(entry => !recorded.has(entry) || !entry.newId || keep.has(entry.newId))
+          .map(entry => (recorded.has(entry) ? Object.assign({}, entry, {
+            oldId: entry.oldId && keep.has(entry.oldId) ? remap(entry.oldId) : null,
+            newId: entry.newId && remap(entry.newId)
+          }) : Object.assign({}, entry, { oldId: null })));
+      }
+      
+      return idMap;
+    }
+  
+    /**
+     * Resolves the start points of a history walk from `log()`-style options.
+     * @private
+     * @param {Object} options - The `ref`, `branches` and `all` options.
+     * @returns {Array<string>} The commit IDs to start from.
+     * @throws {Error} If a start point is not found.
+     */
+    _historyRoots(options) {
+      if (options.all) {
+        const roots = [this.HEAD, ...Object.values(this.branches)];
+        for (const name in this.tags) {
+          roots.push(this.tags[name].target);
+        }
+        for (const remote in this.remotes) {
+          roots.push(...Object.values(this.remotes[remote].branches));
+        }
+        return [...new Set(roots.filter(Boolean))];
+      }
+      
+      const refs = options.branches || [options.ref || 'HEAD'];
+      return refs
+        .map(ref => {
+          const commitId = this._resolveRef(ref);
+          if (commitId && !this._loadCommit(commitId)) {
+            throw new Error(`Commit ${ref} not found`);
+          }
+          return commitId;
+        })
+        .filter(Boolean);
+    }
+  
+    /**
+     * Collects the commits reachable from the given start points and orders them, children before parents.
+     * Every commit waits until all of its children within the reachable set have been listed, whatever their
+     * timestamps. In topological order, the commit listed next is a parent of the one just listed whenever
+     * possible, so lines of development are not interleaved; in date order, it is the newest commit whose
+     * children have all been listed. The walk stops once `limit` commits have been listed.
+     * @private
+     * @param {Array<string>} roots - The commits to start from.
+     * @param {Object} options - The `since`, `until`, `order`, `firstParent` and `limit` options of `log()`.
+     * @param {Set<string>} [options.exclude] - Commits to leave out. The walk does not continue past them.
+     * @returns {Array<Object>} The commit objects.
+     */
+    _walkHistory(roots, options) {
+      const limit = options.limit === undefined ? Infinity : options.limit;
+      const since = options.since !== undefined ? new Date(options.since).getTime() : -Infinity;
+      const until = options.until !== undefined ? new Date(options.until).getTime() : Infinity;
+      
+      const reachable = new Set();
+      const stack = roots.slice();
+      while (stack.length > 0) {
+        const commitId = stack.pop();
+        const commit = this._loadCommit(commitId);
+        if (!commit || reachable.has(commitId) || (options.exclude && options.exclude.has(commitId))) continue;
+        reachable.add(commitId);
+        stack.push(...(options.firstParent ? [commit.parent] : this._parentsOf(commit)));
+      }
+      
+      const parentsOf = commit => (options.firstParent ? [commit.parent] : this._parentsOf(commit))
+        .filter(parent => reachable.has(parent));
+      const children = new Map();
+      for (const commitId of reachable) {
+        for (const parent of parentsOf(this._loadCommit(commitId))) {
+          children.set(parent, (children.get(parent) || 0) + 1);
+        }
+      }
+      
+      const tips = [...reachable].filter(commitId => !children.has(commitId)).map(id => this._loadCommit(id));
+      let ready;
+      if (options.order === 'date') {
+        ready = this._commitQueue();
+        tips.forEach(commit => ready.push(commit));
+      } else {
+        // A stack, newest tip on top.
+        const byDate = tips.map((commit, i) => [commit, i])
+          .sort(([a, i], [b, j]) => (a.timestamp !== b.timestamp ? (a.timestamp < b.timestamp ? 1 : -1) : i - j))
+          .map(([commit]) => commit)
+          .reverse();
+        ready = { push: commit => byDate.push(commit), pop: () => byDate.pop(), size: () => byDate.length };
+      }
+      
+      const ordered = [];
+      while (ready.size() > 0 && ordered.length < limit) {
+        const commit = ready.pop();
+        const time = new Date(commit.timestamp).getTime();
+        if (time >= since && time <= until) ordered.push(commit);
+        
+        for (const parent of parentsOf(commit)) {
+          children.set(parent, children.get(parent) - 1);
+          if (children.get(parent) === 0) ready.push(this._loadCommit(parent));
+        }
+      }
+      return ordered;
+    }
+  
+    /**
+     * Creates a priority queue of commits that hands out the newest commit first, and of commits with the
+     * same timestamp the one added first.
+     * @private
+     * @returns {{push: function(Object), pop: function(): Object, size: function(): number}} The queue.
+     */
+    _commitQueue() {
+      const heap = [];
+      let added = 0;
+      const before = (a, b) => (a.commit.timestamp !== b.commit.timestamp
+        ? a.commit.timestamp > b.commit.timestamp
+        : a.order < b.order);
+      const swap = (i, j) => {
+        [heap[i], heap[j]] = [heap[j], heap[i]];
+      };
+      
+      return {
+        push(commit) {
+          heap.push({ commit, order: added++ });
+          let i = heap.length - 1;
+          while (i > 0 && before(heap[i], heap[(i - 1) >> 1])) {
+            swap(i, (i - 1) >> 1);
+            i = (i - 1) >> 1;
+          }
+        },
+        pop() {
+          const top = heap[0];
+          const last = heap.pop();
+          if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+              let first = i;
+              for (const child of [2 * i + 1, 2 * i + 2]) {
+                if (child < heap.length && before(heap[child], heap[first])) first = child;
+              }
+              if (first === i) break;
+              swap(i, first);
+              i = first;
+            }
+          }
+          return top.commit;
+        },
+        size: () => heap.length
+      };
+    }
+  
+    /**
+     * Collects the ref names pointing at each commit, labelled like `git log --decorate`.
+     * @private
+     * @returns {Map<string, Array<string>>} A map from commit ID to labels such as `HEAD -> main`, `tag: v1` and `origin/main`.
+     */
+    _refLabels() {
+      const labels = new Map();
+      const add = (commitId, label) => {
+        if (!commitId) return;
+        if (!labels.has(commitId)) labels.set(commitId, []);
+        labels.get(commitId).push(label);
+      };
+      
+      add(this.HEAD, this.isDetached() ? 'HEAD' : `HEAD -> ${this.currentBranch}`);
+      for (const name in this.branches) {
+        if (this.isDetached() || name !== this.currentBranch) add(this.branches[name], name);
+      }
+      for (const name in this.tags) {
+        add(this.tags[name].target, `tag: ${name}`);
+      }
+      for (const remote in this.remotes) {
+        for (const name in this.remotes[remote].branches) {
+          add(this.remotes[remote].branches[name], `${remote}/${name}`);
+        }
+      }
+      return labels;
+    }
+  
+    /**
+     * Assigns graph nodes to columns and renders them as ASCII lines.
+     * Each column holds the commit expected next on that line of development. A commit takes over its
+     * column for its first parent and opens new columns for other parents; columns waiting for the same
+     * commit are joined. Connector rows move each line at most one column per row. Each commit's line shows
+     * only the first line of its message.
+     * @private
+     * @param {Array<Object>} nodes - The graph nodes, in topological order, with `id`, `parents`, `refs` and `message`.
+     * @returns {{columns: Array<number>, lines: Array<string>}} The column of each node and the rendered lines.
+     */
+    _layoutGraph(nodes) {
+      let lanes = [];
+      const columns = [];
+      const lines = [];
+      
+      nodes.forEach(node => {
+        let column = lanes.indexOf(node.id);
+        if (column === -1) {
+          lanes.push(node.id);
+          column = lanes.length - 1;
+        }
+        columns.push(column);
+        
+        const row = lanes.map((id, i) => (i === column ? '*' : '|')).join(' ');
+        const refs = node.refs.length > 0 ? ` (${node.refs.join(', ')})` : '';
+        lines.push(`${row} ${node.id.slice(0, 7)}${refs} ${node.message.split('\n')[0]}`);
+        
+        const replaced = lanes.slice(0, column)
+          .concat(node.parents.filter((parent, i) => i === 0 || !lanes.includes(parent)))
+          .concat(lanes.slice(column + 1));
+        const next = replaced.filter((id, i) => replaced.indexOf(id) === i);
+        
+        const moves = [];
+        lanes.forEach((id, i) => {
+          if (i !== column) moves.push([i, next.indexOf(id)]);
+        });
+        node.parents.forEach(parent => moves.push([column, next.indexOf(parent)]));
+        
+        while (moves.some(([from, to]) => from !== to)) {
+          const width = 2 * Math.max(lanes.length, next.length);
+          const connector = new Array(width).fill(' ');
+          for (const move of moves) {
+            const [from, to] = move;
+            if (from === to) {
+              connector[2 * from] = '|';
+            } else if (to < from) {
+              connector[2 * from - 1] = '/';
+              move[0] = from - 1;
+            } else {
+              connector[2 * from + 1] = '\\';
+              move[0] = from + 1;
+            }
+          }
+          lines.push(connector.join('').trimEnd());
+        }
+        
+        lanes = next;
+      });
+      
+      return { columns, lines };
+    }
+  
+    /**
+     * Sorts commits so that every commit comes after its parents. Parents outside the given set are ignored.
+     * @private
+     * @param {Array<string>} commitIds - The commits to sort.
+     * @returns {Array<string>} The commits in topological order, oldest first.
+     */
+    _topoOrder(commitIds) {
+      const included = new Set(commitIds);
+      const order = [];
+      const visited = new Set();
+      
+      const visit = root => {
+        const stack = [[root, false]];
+        while (stack.length > 0) {
+          const [commitId, expanded] = stack.pop();
+          if (expanded) {
+            order.push(commitId);
+            continue;
+          }
+          if (visited.has(commitId)) continue;
+          visited.add(commitId);
+          stack.push([commitId, true]);
+          const parents = this._parentsOf(this._loadCommit(commitId)).filter(parent => included.has(parent));
+          for (let i = parents.length - 1; i >= 0; i--) {
+            if (!visited.has(parents[i])) stack.push([parents[i], false]);
+          }
+        }
+      };
+      
+      commitIds.forEach(visit);
+      return order;
+    }
+  
+    /**
+     * Captures everything a transaction may change, so it can be rolled back.
+     * Commit objects are never modified in place, so the commit store only needs a shallow copy.
+     * @private
+     * @returns {Object} The captured state.
+     */
+    _snapshotState() {
+      return {
+        commits: Object.assign({}, this.commits),
+        branches: Object.assign({}, this.branches),
+        tags: this._deepClone(this.tags),
+        reflogs: this._deepClone(this.reflogs),
+        remotes: this._deepClone(this.remotes),
+        redoStacks: this._deepClone(this.redoStacks),
+        redoRefs: Object.assign({}, this.redoRefs),
+        stashStack: this.stashStack && this._deepClone(this.stashStack),
+        HEAD: this.HEAD,
+        currentBranch: this.currentBranch,
+        lastCommitId: this.lastCommitId,
+        unsavedCommits: new Set(this.unsavedCommits),
+        unsavedRefs: new Set(this.unsavedRefs),
+        deletedCommits: new Set(this.deletedCommits)
+      };
+    }
+  
+    /**
+     * Restores state captured by `_snapshotState()`.
+     * @private
+     * @param {Object} snapshot - The captured state.
+     */
+    _restoreState(snapshot) {
+      Object.assign(this, snapshot);
+      if (snapshot.stashStack === undefined) delete this.stashStack;
+    }
+  
+    /**
+     * Replaces the commits a transaction added to the current branch with a single commit.
+     * The reflog gets one entry per moved ref, and commits that are no longer reachable are dropped.
+     * @private
+     * @param {Object} snapshot - The state captured when the transaction started.
+     * @param {string} [message] - The message of the collapsed commit.
+     * @returns {?string} The ID of the collapsed commit, or null if HEAD didn't move forward to new commits.
+     */
+    _collapseTransaction(snapshot, message) {
+      const oldHead = snapshot.HEAD;
+      const newHead = this.HEAD;
+      if (!newHead || newHead === oldHead || snapshot.commits[newHead]) return null;
+      
+      const collapsed = [];
+      for (let commitId = newHead; commitId !== oldHead; commitId = this._loadCommit(commitId).parent) {
+        if (!commitId || snapshot.commits[commitId]) return null;
+        collapsed.unshift(this._loadCommit(commitId));
+      }
+      if (collapsed.length === 1 && message === undefined) return newHead;
+      
+      const squashedId = this._createCommit(
+        this._readData(newHead),
+        message !== undefined ? message : collapsed.map(commit => commit.message).join('\n'),
+        oldHead ? [oldHead] : [],
+        { squashedCommits: collapsed.map(commit => commit.id) }
+      );
+      
+      this.reflogs = snapshot.reflogs;
+      for (const name in this.branches) {
+        if (this.branches[name] === newHead) {
+          this.branches[name] = squashedId;
+          this.unsavedRefs.add(name);
+        }
+        if (this.branches[name] !== (snapshot.branches[name] || null)) {
+          this._recordReflog(name, snapshot.branches[name] || null, this.branches[name], 'transaction');
+        }
+      }
+      for (const name in this.tags) {
+        if (this.tags[name].target === newHead) this.tags[name].target = squashedId;
+      }
+      this.HEAD = oldHead;
+      this._setHead(squashedId, 'transaction');
+      this.lastCommitId = null;
+      
+      const reachable = new Set();
+      this._gcRoots().forEach(root => this._ancestors(root).forEach(id => reachable.add(id)));
+      for (const commitId in this.commits) {
+        if (!snapshot.commits[commitId] && !reachable.has(commitId)) {
+          delete this.commits[commitId];
+          this.unsavedCommits.delete(commitId);
+        }
+      }
+      
+      return squashedId;
+    }
+  
+    /**
+     * Gets the redo stack of a branch, creating it if needed.
+     * @private
+     * @param {string} branchName - The branch name.
+     * @returns {Array<string>} The undone commit IDs, most recently undone last.
+     */
+    _redoStack(branchName) {
+      if (!this.redoStacks[branchName]) this.redoStacks[branchName] = [];
+      return this.redoStacks[branchName];
+    }
+  
+    /**
+     * Clears a branch's redo stack after the branch moved by something other than undo or redo.
+     * With the `'keep'` redo policy, the undone commits stay reachable from a new `redo/<branch>/<n>` redo
+     * ref, so the ones kept by earlier undos are not overwritten. Beyond `redoRefLimit`, the oldest are dropped.
+     * @private
+     * @param {string} branchName - The branch that moved.
+     */
+    _discardRedo(branchName) {
+      const stack = this.redoStacks[branchName];
+      if (!stack || stack.length === 0) return;
+      
+      delete this.redoStacks[branchName];
+      if (this.options.redoPolicy === 'keep') {
+        const prefix = `redo/${branchName}/`;
+        const kept = this.listRedoRefs()
+          .filter(ref => ref.branch === branchName)
+          .map(ref => Number(ref.name.slice(prefix.length)))
+          .sort((a, b) => a - b);
+        kept.push(kept.length > 0 ? kept[kept.length - 1] + 1 : 1);
+        this.redoRefs[`${prefix}${kept[kept.length - 1]}`] = stack[0];
+        kept.slice(0, Math.max(0, kept.length - this.options.redoRefLimit)).forEach(n => delete this.redoRefs[`${prefix}${n}`]);
+      }
+    }
+  
+    /**
+     * Checks whether the next commit should replace the commit at HEAD, according to `coalesceWindow`.
+     * Only a plain commit made by `commit()` on the current branch tip, with nothing to redo, is replaced.
+     * @private
+     * @returns {boolean} `true` if the next commit should be coalesced with HEAD.
+     */
+    _shouldCoalesce() {
+      if (!(this.options.coalesceWindow > 0) || !this.HEAD || this.HEAD !== this.lastCommitId) return false;
+      
+      const head = this._loadCommit(this.HEAD);
+      if (!head.parent || head.parents || this.branches[this.currentBranch] !== this.HEAD || this.canRedo()) {
+        return false;
+      }
+      
+      return this._now().getTime() - Date.parse(head.timestamp) <= this.options.coalesceWindow;
+    }
+  
+    /**
+     * Captures the current HEAD and branch, to describe a change in an after-event.
+     * @private
+     * @returns {Object} An object with `HEAD` and `branch`.
+     */
+    _refState() {
+      return { HEAD: this.HEAD, branch: this.currentBranch };
+    }
+  
+    /**
+     * Builds the event object passed to `pre-checkout` hooks.
+     * @private
+     * @param {string} target - The checkout target.
+     * @param {string} newHead - The commit HEAD will point to.
+     * @param {string} newBranch - The branch that will be current.
+     * @returns {Object} The hook event.
+     */
+    _checkoutHook(target, newHead, newBranch) {
+      return { target, oldHead: this.HEAD, newHead, oldBranch: this.currentBranch, newBranch };
+    }
+  
+    /**
+     * Emits an after-event describing how an operation changed HEAD and the current branch.
+     * @private
+     * @param {string} operation - The operation name, which is also the event name.
+     * @param {Object} before - The ref state captured with `_refState()` before the operation.
+     * @param {Object} [details={}] - Operation-specific fields to add to the event.
+     */
+    _emitChange(operation, before, details = {}) {
+      this._emit(operation, Object.assign({
+        operation,
+        oldHead: before.HEAD,
+        newHead: this.HEAD,
+        oldBranch: before.branch,
+        newBranch: this.currentBranch
+      }, details));
+      this._autosave();
+    }
+  
+    /**
+     * Calls every listener registered for an event. Inside a transaction the event is held back instead.
+     * @private
+     * @param {string} event - The event name.
+     * @param {Object} payload - The event object.
+     */
+    _emit(event, payload) {
+      if (this.activeTransaction && event !== 'error') {
+        this.activeTransaction.events.push({ event, payload });
+        return;
+      }
+      for (const handler of (this.listeners[event] || []).slice()) {
+        handler(payload);
+      }
+    }
+  
+    /**
+     * Runs the pre-hooks registered for an event. Hooks may modify the event object in place.
+     * @private
+     * @param {string} event - The hook name, e.g. `pre-commit`.
+     * @param {Object} payload - The event object.
+     * @throws {Error} If a hook returns `false`. Errors thrown by hooks propagate unchanged.
+     */
+    _runHook(event, payload) {
+      for (const handler of (this.listeners[event] || []).slice()) {
+        if (handler(payload) === false) {
+          throw new Error(`Operation rejected by ${event} hook`);
+        }
+      }
+    }
+  
+    /**
+     * Builds the author and committer fields for a new commit from the instance options.
+     * @private
+     * @returns {Object} An object with `author` and `committer` when they are configured.
+     */
+    _identity() {
+      const identity = {};
+      const author = this._parseIdentity(this.options.author);
+      const committer = this._parseIdentity(this.options.committer);
+      if (author) identity.author = author;
+      if (committer) identity.committer = committer;
+      return identity;
+    }
+  
+    /**
+     * Normalizes an identity given as `'Name <email>'`, a bare name or a `{ name, email }` object.
+     * @private
+     * @param {string|Object} [identity] - The identity.
+     * @returns {?{name: string, email: ?string}} The normalized identity, or null if none was given.
+     */
+    _parseIdentity(identity) {
+      if (!identity) return null;
+      if (typeof identity === 'object') {
+        return { name: identity.name || null, email: identity.email || null };
+      }
+      const match = String(identity).match(/^\s*(.*?)\s*<([^>]*)>\s*$/);
+      return match ? { name: match[1] || null, email: match[2] } : { name: String(identity).trim(), email: null };
+    }
+  
+    /**
+     * Checks whether a commit identity matches a name, email or `'Name <email>'` string.
+     * @private
+     * @param {?Object} identity - The commit's author or committer.
+     * @param {string|Object} expected - The identity to look for.
+     * @returns {boolean} `true` if every part given in `expected` matches.
+     */
+    _identityMatches(identity, expected) {
+      if (!identity) return false;
+      const wanted = this._parseIdentity(expected);
+      if (wanted.email) {
+        return identity.email === wanted.email && (!wanted.name || identity.name === wanted.name);
+      }
+      return identity.name === wanted.name || identity.email === wanted.name;
+    }
+  
+    /**
+     * Builds the summary of a commit returned by `log()` and the search methods.
+     * @private
+     * @param {Object} commit - The commit object.
+     * @returns {Object} The commit's ID, message, timestamp, branch and parents, plus author, committer, metadata
+     *   and the `authorTimestamp` of a replayed commit when present.
+     */
+    _logEntry(commit) {
+      const entry = {
+        id: commit.id,
+        message: commit.message,
+        timestamp: commit.timestamp,
+        branch: commit.branch,
+        parents: this._parentsOf(commit).slice()
+      };
+      if (commit.author) entry.author = Object.assign({}, commit.author);
+      if (commit.committer) entry.committer = Object.assign({}, commit.committer);
+      if (commit.metadata) entry.metadata = this._deepClone(commit.metadata);
+      if (commit.authorTimestamp) entry.authorTimestamp = commit.authorTimestamp;
+      return entry;
+    }
+  
+    /**
+     * Creates and stores a new commit object without moving any refs.
+     * @private
+     * @param {*} data - The data to store in the commit.
+     * @param {string} message - The commit message.
+     * @param {Array<string>} parents - The parent commit IDs. Merge commits have more than one.
+     * @param {Object} [extra={}] - Additional fields to store on the commit object.
+     * @returns {string} The ID of the new commit.
+     */
+    _createCommit(data, message, parents, extra = {}) {
+      const commit = Object.assign({
+        id: null,
+        message,
+        timestamp: this._now().toISOString(),
+        parent: parents[0] || null,
+        branch: this.currentBranch
+      }, this._identity(), extra);
+      
+      if (this.options.schemaVersion !== null && this.options.schemaVersion !== undefined && !('schemaVersion' in extra)) {
+        commit.schemaVersion = this.options.schemaVersion;
+      }
+      
+      if (parents.length > 1) {
+        commit.parents = parents.slice();
+      }
+      
+      const commitId = this._generateCommitId(commit, data);
+      commit.id = commitId;
+      if (this._loadCommit(commitId)) return commitId;
+      
+      this._storeData(commit, data);
+      this._putCommit(commit);
+      return commitId;
+    }
+  
+    /**
+     * Attaches data to a new commit object according to the storage mode.
+     * In snapshot mode the full data is stored. In delta mode a JSON patch against the first parent is
+     * stored instead, except for root commits and every `keyframeInterval` commits, which keep a full keyframe.
+     * Data a patch can't rebuild, such as a changed cycle, is stored as a keyframe as well.
+     * @private
+     * @param {Object} commit - The commit object being created. Its `parent` must already be set.
+     * @param {*} data - The data to store.
+     */
+    _storeData(commit, data) {
+      if (this.options.storage !== 'delta' || !commit.parent || !this._loadCommit(commit.parent)) {
+        commit.data = this._copyForStorage(data, commit.parent);
+        return;
+      }
+  
+      let distance = 1;
+      let current = this._loadCommit(commit.parent);
+      while (current && !('data' in current)) {
+        distance++;
+        current = this._loadCommit(current.parent);
+      }
+  
+      const patch = distance < this.options.keyframeInterval && this._deltaPatch(this._readData(commit.parent), data);
+      if (patch) {
+        commit.patch = patch;
+      } else {
+        commit.data = this._copyForStorage(data, commit.parent);
+      }
+    }
+  
+    /**
+     * Copies data to store it in a commit or stash. In immutable mode the copy is deep-frozen and shares
+     * unchanged subtrees with the data stored in the parent commit.
+     * @private
+     * @param {*} data - The data to store.
+     * @param {?string} parentId - The parent commit, if any.
+     * @returns {*} The copy.
+     */
+    _copyForStorage(data, parentId) {
+      if (!this.options.immutable) return this._deepClone(data);
+      const parent = this._loadCommit(parentId);
+      return this._share(data, parent && 'data' in parent ? parent.data : undefined);
+    }
+  
+    /**
+     * Builds a deep-frozen copy of a value for immutable mode without copying what is already frozen:
+     * snapshots taken from this instance are used as they are, and parts equal to the same part of
+     * `previous` are replaced by it, so consecutive commits share their unchanged subtrees.
+     * @private
+     * @param {*} value - The value to copy.
+     * @param {*} [previous] - A frozen value to share unchanged parts with, such as the parent commit's data.
+     * @param {Map<Object, Object>} [copies] - Objects already copied, mapped to their copies.
+     * @returns {*} The frozen value. Values other than plain objects and arrays are cloned instead, unless equal to `previous`.
+     */
+    _share(value, previous, copies = new Map()) {
+      if (!this._isContainer(value)) {
+        const same = typeof value === 'object' && value !== null && typeof previous === 'object' && previous !== null &&
+          this._canonicalize(value) === this._canonicalize(previous);
+        return same ? previous : this._deepClone(value);
+      }
+      if (this.frozenValues.has(value)) return value;
+      if (copies.has(value)) return copies.get(value);
+      
+      const copy = Array.isArray(value) ? [] : {};
+      copies.set(value, copy);
+      const comparable = this._isContainer(previous) && this.frozenValues.has(previous) &&
+        Array.isArray(previous) === Array.isArray(value);
+      const keys = Object.keys(value);
+      let unchanged = comparable && Object.keys(previous).length === keys.length;
+      
+      for (const key of keys) {
+        const shared = comparable && Object.prototype.hasOwnProperty.call(previous, key);
+        copy[key] = this._share(value[key], shared ? previous[key] : undefined, copies);
+        if (!shared || !Object.is(copy[key], previous[key])) unchanged = false;
+      }
+      
+      if (unchanged) {
+        copies.set(value, previous);
+        return previous;
+      }
+      this.frozenValues.add(Object.freeze(copy));
+      return copy;
+    }
+  
+    /**
+     * Reads the frozen data of a commit in immutable mode. Data that was loaded or imported, and so isn't
+     * frozen yet, is frozen once and stored back.
+     * @private
+     * @param {string} commitId - The ID of the commit.
+     * @returns {*} The frozen data.
+     */
+    _frozenData(commitId) {
+      const data = this._readData(commitId);
+      if (this.frozenValues.has(data)) return data;
+      
+      const frozen = this._share(data);
+      const commit = this._loadCommit(commitId);
+      if (this.frozenValues.has(frozen) && 'data' in commit) commit.data = frozen;
+      return frozen;
+    }
+  
+    /**
+     * Creates a JSON patch between two versions of the data, if applying it rebuilds the new version exactly.
+     * Patches can't express references, so data whose cycles change can only be stored in full.
+     * @private
+     * @param {*} from - The old data.
+     * @param {*} to - The new data.
+     * @returns {?Array<Object>} The patch, or null if it doesn't round-trip.
+     */
+    _deltaPatch(from, to) {
+      const patch = this._createPatch(from, to);
+      const rebuilt = this._applyPatch(this._deepClone(from), patch);
+      return this._canonicalize(rebuilt) === this._canonicalize(to) ? patch : null;
+    }
+  
+    /**
+     * Reads the data of a commit, rebuilding it from the nearest keyframe if the commit stores a patch.
+     * The returned value may be shared with the commit store, so callers must clone it before handing it out.
+     * @private
+     * @param {string} commitId - The ID of the commit.
+     * @returns {*} The data of the commit.
+     * @throws {Error} If the commit or one of the commits it depends on is missing.
+     */
+    _readData(commitId) {
+      const chain = [];
+      let current = this._loadCommit(commitId);
+      if (!current) {
+        throw new Error(`Commit ${commitId} not found`);
+      }
+      
+      while (current && !('data' in current)) {
+        chain.push(current);
+        current = this._loadCommit(current.parent);
+      }
+      
+      if (!current) {
+        throw new Error(`Cannot rebuild data for commit ${commitId}: missing keyframe`);
+      }
+      
+      if (chain.length === 0) return current.data;
+      
+      let data = this._deepClone(current.data);
+      for (let i = chain.length - 1; i >= 0; i--) {
+        data = this._applyPatch(data, chain[i].patch);
+      }
+      return data;
+    }
+  
+    /**
+     * Reads a copy of a commit's data, upgraded to the current schema version.
+     * In immutable mode the stored frozen data is returned instead of a copy.
+     * @private
+     * @param {string} commitId - The ID of the commit.
+     * @returns {*} The upgraded data.
+     */
+    _readCurrent(commitId) {
+      const version = this._loadCommit(commitId).schemaVersion || 1;
+      if (this.options.immutable) {
+        const target = this.options.schemaVersion;
+        if (target === null || target === undefined || version === target) return this._frozenData(commitId);
+        return this._share(this._upgrade(this._deepClone(this._readData(commitId)), version));
+      }
+      const data = this._deepClone(this._readData(commitId));
+      return this._upgrade(data, version);
+    }
+  
+    /**
+     * Runs the migrations that bring data from one schema version to the current one.
+     * @private
+     * @param {*} data - The data. Migrations may modify it.
+     * @param {number} version - The schema version of the data.
+     * @returns {*} The upgraded data.
+     * @throws {Error} If the data is newer than the current version or a migration is missing.
+     */
+    _upgrade(data, version) {
+      const target = this.options.schemaVersion;
+      if (target === null || target === undefined) return data;
+      if (version > target) {
+        throw new Error(`Data has schema version ${version}, which is newer than the current version ${target}`);
+      }
+      
+      while (version < target) {
+        version++;
+        const migration = this.options.migrations[version];
+        if (typeof migration !== 'function') {
+          throw new Error(`No migration to schema version ${version}`);
+        }
+        data = migration(data);
+      }
+      return data;
+    }
+  
+    /**
+     * Checks data against the `schema` option.
+     * @private
+     * @param {*} data - The data to check.
+     * @throws {Error} If the data is invalid, listing every problem found.
+     */
+    _validate(data) {
+      const schema = this.options.schema;
+      if (!schema) return;
+      
+      let errors;
+      if (typeof schema === 'function') {
+        const result = schema(data);
+        errors = result === true || result === undefined ? [] : [].concat(result === false ? 'data is invalid' : result);
+      } else {
+        errors = this._schemaErrors(schema, data, '');
+      }
+      
+      if (errors.length > 0) {
+        throw new Error(`Schema validation failed: ${errors.join('; ')}`);
+      }
+    }
+  
+    /**
+     * Checks a value against a JSON Schema subset.
+     * @private
+     * @param {Object} schema - The schema.
+     * @param {*} value - The value to check.
+     * @param {string} path - The dot path of the value, for error messages.
+     * @returns {Array<string>} The problems found, empty if the value is valid.
+     */
+    _schemaErrors(schema, value, path) {
+      const errors = [];
+      const at = path || '(root)';
+      const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+      const matchesType = type => (type === 'integer' ? Number.isInteger(value) : typeOf(value) === type);
+      
+      if (schema.type !== undefined && ![].concat(schema.type).some(matchesType)) {
+        return [`${at} should be ${[].concat(schema.type).join(' or ')}`];
+      }
+      if (schema.enum && !schema.enum.some(option => this._canonicalize(option) === this._canonicalize(value))) {
+        errors.push(`${at} should be one of ${JSON.stringify(schema.enum)}`);
+      }
+      if ('const' in schema && this._canonicalize(schema.const) !== this._canonicalize(value)) {
+        errors.push(`${at} should be ${JSON.stringify(schema.const)}`);
+      }
+      
+      if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+      }
+      if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          errors.push(`${at} should have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+          errors.push(`${at} should have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+          errors.push(`${at} should match ${schema.pattern}`);
+        }
+      }
+      
+      if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          errors.push(`${at} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          errors.push(`${at} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+          value.forEach((item, i) => errors.push(...this._schemaErrors(schema.items, item, path ? `${path}.${i}` : String(i))));
+        }
+      } else if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+          if (!(key in value)) errors.push(`${path ? `${path}.${key}` : key} is required`);
+        }
+        for (const key of Object.keys(value)) {
+          const childPath = path ? `${path}.${key}` : key;
+          if (schema.properties && schema.properties[key]) {
+            errors.push(...this._schemaErrors(schema.properties[key], value[key], childPath));
+          } else if (schema.additionalProperties === false) {
+            errors.push(`${childPath} is not allowed`);
+          } else if (typeof schema.additionalProperties === 'object') {
+            errors.push(...this._schemaErrors(schema.additionalProperties, value[key], childPath));
+          }
+        }
+      }
+      
+      return errors;
+    }
+  
+    /**
+     * Returns a copy of a commit object with its data filled in, regardless of how it is stored.
+     * @private
+     * @param {string} commitId - The ID of the commit.
+     * @returns {Object} The commit object with a `data` property and no `patch`.
+     */
+    _materialize(commitId) {
+      const commit = Object.assign({}, this._loadCommit(commitId));
+      delete commit.patch;
+      commit.data = this._deepClone(this._readData(commitId));
+      return commit;
+    }
+  
+    /**
+     * Gets all parent IDs of a commit. Regular commits only have `parent`; merge commits also record `parents`.
+     * @private
+     * @param {Object} commit - The commit object.
+     * @returns {Array<string>} The parent commit IDs, first parent first.
+     */
+    _parentsOf(commit) {
+      if (!commit) return [];
+      if (commit.parents) return commit.parents;
+      return commit.parent ? [commit.parent] : [];
+    }
+  
+    /**
+     * Collects every commit reachable from a commit, including the commit itself.
+     * @private
+     * @param {string} commitId - The commit to start from.
+     * @returns {Set<string>} The IDs of all reachable commits.
+     */
+    _ancestors(commitId) {
+      const reachable = new Set();
+      const stack = commitId ? [commitId] : [];
+      
+      while (stack.length > 0) {
+        const current = stack.pop();
+        if (reachable.has(current) || !this._loadCommit(current)) continue;
+        reachable.add(current);
+        stack.push(...this._parentsOf(this._loadCommit(current)));
+      }
+      
+      return reachable;
+    }
+  
+    /**
+     * Sends a sync protocol request and unwraps the response.
+     * @private
+     * @param {function(Object): Promise<Object>} transport - The transport.
+     * @param {Object} request - The request message.
+     * @returns {Promise<Object>} The response message.
+     * @throws {Error} If the remote responds with an error.
+     */
+    async _request(transport, request) {
+      const response = await transport(request);
+      if (!response || response.type === 'error') {
+        throw new Error(`Remote error: ${response ? response.message : 'no response'}`);
+      }
+      return response;
+    }
+  
+    /**
+     * Builds a pack of the commits reachable from `wants` but not from `haves`, parents first.
+     * A commit whose first parent is in the pack or known to the receiver carries a JSON patch against
+     * it; other commits carry their full data. Pack entries are plain JSON commit objects.
+     * @private
+     * @param {Array<string>} wants - The commits the receiver wants.
+     * @param {Array<string>} haves - Commits the receiver already has. Unknown IDs are ignored.
+     * @returns {Array<Object>} The pack entries.
+     * @throws {Error} If a wanted commit doesn't exist.
+     */
+    _createPack(wants, haves) {
+      const common = new Set();
+      for (const commitId of haves) {
+        this._ancestors(commitId).forEach(id => common.add(id));
+      }
+      
+      const included = new Set();
+      for (const commitId of wants) {
+        if (!this._loadCommit(commitId)) {
+          throw new Error(`Commit ${commitId} not found`);
+        }
+        this._ancestors(commitId).forEach(id => {
+          if (!common.has(id)) included.add(id);
+        });
+      }
+      
+      return this._packEntries(included, common);
+    }
+  
+    /**
+     * Turns a set of commits into pack entries, parents first. A commit whose first parent is in the set or
+     * in `common` carries a JSON patch against it; other commits carry their full data.
+     * @private
+     * @param {Set<string>} included - The IDs of the commits to pack.
+     * @param {Set<string>} common - Commits the receiver is known to have.
+     * @returns {Array<Object>} The pack entries.
+     */
+    _packEntries(included, common) {
+      return this._topoOrder([...included]).map(commitId => {
+        const entry = Object.assign({}, this._loadCommit(commitId));
+        delete entry.data;
+        delete entry.patch;
+        const patch = entry.parent && (included.has(entry.parent) || common.has(entry.parent)) &&
+          this._deltaPatch(this._readData(entry.parent), this._readData(commitId));
+        if (patch) {
+          entry.patch = patch;
+        } else {
+          entry.data = this._deepClone(this._readData(commitId));
+        }
+        return entry;
+      });
+    }
+  
+    /**
+     * Verifies and stores the commits of a pack. Every commit's data is rebuilt and its ID recomputed
+     * before anything is kept, so a pack with a missing parent or a tampered commit is rejected as a whole.
+     * Commits are stored according to this instance's own storage mode.
+     * @private
+     * @param {Array<Object>} pack - The pack entries, parents first.
+     * @returns {number} The number of new commits stored.
+     * @throws {Error} If a commit fails verification.
+     */
+    _receivePack(pack) {
+      const received = new Map();
+      const dataOf = commitId => (received.has(commitId) ? received.get(commitId).data : this._readData(commitId));
+      
+      for (const entry of pack) {
+        if (received.has(entry.id) || this._loadCommit(entry.id)) continue;
+        
+        const missing = this._parentsOf(entry).filter(parent => !received.has(parent) && !this._loadCommit(parent));
+        if (missing.length > 0) {
+          throw new Error(`Pack commit ${entry.id} is missing parent commit(s): ${missing.join(', ')}`);
+        }
+        
+        const data = 'patch' in entry
+          ? this._applyPatch(this._deepClone(dataOf(entry.parent)), entry.patch)
+          : entry.data;
+        if (this._generateCommitId(entry, data) !== entry.id) {
+          throw new Error(`Pack commit ${entry.id} failed verification`);
+        }
+        received.set(entry.id, { entry, data });
+      }
+      
+      for (const { entry, data } of received.values()) {
+        const commit = Object.assign({}, entry);
+        delete commit.data;
+        delete commit.patch;
+        this._storeData(commit, data);
+        this._putCommit(commit);
+      }
+      
+      return received.size;
+    }
+  
+    /**
+     * Gets the state of a stopped rebase.
+     * @private
+     * @returns {Object} The rebase state.
+     * @throws {Error} If no rebase is stopped.
+     */
+    _stoppedRebase() {
+      if (!this.rebaseState || !this.rebaseState.stopped) {
+        throw new Error('No rebase in progress');
+      }
+      return this.rebaseState;
+    }
+  
+    /**
+     * Runs the remaining steps of the rebase until it stops or is done, then moves the refs.
+     * A step that throws leaves the rebase stopped at that step, so it can be resolved, skipped or aborted.
+     * @private
+     * @returns {Object} The rebase result.
+     * @throws {Error} If a step fails, or HEAD moved while the rebase was stopped.
+     */
+    _runRebase() {
+      const state = this.rebaseState;
+      
+      while (state.index < state.steps.length) {
+        const step = state.steps[state.index];
+        const tipBefore = state.tip;
+        let conflict;
+        try {
+          conflict = this._applyRebaseStep(step);
+        } catch (error) {
+          state.stopped = { reason: 'error', tipBefore };
+          throw error;
+        }
+        
+        if (conflict) {
+          state.stopped = Object.assign({ reason: 'conflict', tipBefore }, conflict);
+          return this._rebaseResult();
+        }
+        state.index++;
+        if (step.action === 'edit') {
+          state.stopped = { reason: 'edit', tipBefore };
+          return this._rebaseResult();
+        }
+      }
+      
+      this.rebaseState = null;
+      if (this.HEAD !== state.originalHead || (state.branch !== null && this.currentBranch !== state.branch)) {
+        throw new Error('HEAD moved while the rebase was stopped; the rebase was abandoned');
+      }
+      
+      const replayed = this._walkHistory([state.tip], { exclude: this._ancestors(state.onto), firstParent: true })
+        .map(commit => commit.id)
+        .reverse();
+      if (state.tip !== this.HEAD) {
+        this._advance(state.tip, 'rebase');
+      }
+      this._emitChange('rebase', state.before, { replayedCommits: replayed });
+      
+      return { success: true, status: 'done', message: 'Rebase successful', commitId: state.tip, replayed };
+    }
+  
+    /**
+     * Replays one rebase step onto the current tip of the rebase.
+     * @private
+     * @param {Object} step - The step, with `action`, `commitId` and `message`.
+     * @param {*} [resolved] - The resolved data after a conflict. Without it, the change is merged in.
+     * @returns {?Object} The merged `data` and the `conflicts` if the step conflicts, otherwise null.
+     */
+    _applyRebaseStep(step, resolved) {
+      const state = this.rebaseState;
+      if (step.action === 'drop') return null;
+      
+      const commit = this._loadCommit(step.commitId);
+      const meld = (step.action === 'squash' || step.action === 'fixup') && state.tip !== state.onto;
+      if (resolved === undefined && !meld && step.action !== 'reword' && commit.parent === state.tip &&
+          this._parentsOf(commit).length === 1) {
+        state.tip = step.commitId;
+        return null;
+      }
+      
+      let data = resolved;
+      if (data === undefined) {
+        const theirs = this.getCommit(step.commitId);
+        const base = commit.parent ? this.getCommit(commit.parent) : this._emptyLike(theirs, theirs);
+        const merged = this._threeWayMerge(base, this.getCommit(state.tip), theirs, state.conflictResolution);
+        if (merged.conflicts.length > 0 && !state.conflictResolution) {
+          return { data: merged.data, conflicts: merged.conflicts };
+        }
+        data = merged.data;
+      }
+      
+      const previous = meld ? this._loadCommit(state.tip) : commit;
+      if (!meld && this._canonicalize(data) === this._canonicalize(this.getCommit(state.tip))) {
+        return null;
+      }
+      this._validate(data);
+      
+      let message = step.message === undefined ? commit.message : step.message;
+      if (meld && step.message === undefined) {
+        message = step.action === 'squash' ? `${previous.message}\n\n${commit.message}` : previous.message;
+      }
+      const parents = meld ? this._parentsOf(previous) : [state.tip];
+      state.tip = this._createCommit(data, message, parents, this._replayFields(previous));
+      return null;
+    }
+  
+    /**
+     * Collects the fields a replayed commit keeps from the original: branch, author and metadata. The
+     * replayed commit is stamped with the current time, so it is never older than its new parent; the
+     * original time is kept as `authorTimestamp`.
+     * @private
+     * @param {Object} commit - The original commit.
+     * @returns {Object} The fields, for `_createCommit()`.
+     */
+    _replayFields(commit) {
+      const fields = {
+        timestamp: this._now().toISOString(),
+        authorTimestamp: commit.authorTimestamp || commit.timestamp,
+        branch: this.rebaseState.branch || commit.branch
+      };
+      if (commit.author) fields.author = commit.author;
+      if (commit.metadata) fields.metadata = commit.metadata;
+      return fields;
+    }
+  
+    /**
+     * Builds the result of a stopped rebase.
+     * @private
+     * @returns {Object} The result, with the step, data and conflicts, and functions to resume.
+     */
+    _rebaseResult() {
+      const state = this.rebaseState;
+      const { reason, data, conflicts } = state.stopped;
+      const step = state.steps[reason === 'edit' ? state.index - 1 : state.index];
+      
+      return {
+        success: false,
+        status: 'stopped',
+        message: reason === 'edit' ? 'Stopped for editing' : 'Rebase conflict',
+        commitId: state.tip,
+        step: { action: step.action, commit: step.commitId, message: step.message },
+        data: data === undefined ? this.getCommit(state.tip) : data,
+        conflicts: conflicts || [],
+        continue: (resolved, message) => this.continueRebase(resolved, message),
+        skip: () => this.skipRebase(),
+        abort: () => this.abortRebase()
+      };
+    }
+  
+    /**
+     * Picks the next commit for `bisect()` to test: the untested candidate whose ancestors among the
+     * candidates come closest to half of them.
+     * @private
+     * @param {Object} state - The bisect state.
+     * @returns {?string} The commit ID, or null if there is nothing left to test.
+     */
+    _bisectNext(state) {
+      if (state.candidates.size <= 1) return null;
+      
+      let best = null;
+      let bestScore = -1;
+      for (const commitId of state.candidates) {
+        if (commitId === state.bad || state.skipped.has(commitId)) continue;
+        let below = 0;
+        this._ancestors(commitId).forEach(ancestor => {
+          if (state.candidates.has(ancestor)) below++;
+        });
+        const score = Math.min(below, state.candidates.size - below);
+        if (score > bestScore) {
+          best = commitId;
+          bestScore = score;
+        }
+      }
+      return best;
+    }
+  
+    /**
+     * Narrows the candidates of a bisect by a verdict on one of them.
+     * @private
+     * @param {Object} state - The bisect state.
+     * @param {string} commitId - The tested commit.
+     * @param {('good'|'bad'|'skip'|boolean)} verdict - The verdict.
+     * @throws {Error} If the verdict is invalid, or marks a commit good that the bad commit is reachable from.
+     */
+    _bisectMark(state, commitId, verdict) {
+      if (verdict === true || verdict === 'good') {
+        const below = this._ancestors(commitId);
+        if (below.has(state.bad)) {
+          throw new Error(`Commit ${commitId} can't be good: the bad commit ${state.bad} is reachable from it`);
+        }
+        below.forEach(ancestor => state.candidates.delete(ancestor));
+      } else if (verdict === false || verdict === 'bad') {
+        const below = this._ancestors(commitId);
+        state.candidates.forEach(candidate => {
+          if (!below.has(candidate)) state.candidates.delete(candidate);
+        });
+        state.bad = commitId;
+      } else if (verdict === 'skip') {
+        state.skipped.add(commitId);
+      } else {
+        throw new Error(`Invalid bisect verdict '${verdict}', expected 'good', 'bad' or 'skip'`);
+      }
+      state.tested++;
+    }
+  
+    /**
+     * Builds the next step of a step-by-step bisect, or its result once it is done.
+     * @private
+     * @param {Object} state - The bisect state.
+     * @returns {Object} The step or the result.
+     */
+    _bisectStep(state) {
+      state.current = this._bisectNext(state);
+      if (state.current === null) {
+        this.bisectState = null;
+        return this._bisectResult(state);
+      }
+      return {
+        done: false,
+        commitId: state.current,
+        data: this.getCommit(state.current),
+        remaining: state.candidates.size
+      };
+    }
+  
+    /**
+     * Builds the result of a finished bisect: the first bad commit and the diff against its first parent.
+     * @private
+     * @param {Object} state - The bisect state.
+     * @returns {Object} The result.
+     */
+    _bisectResult(state) {
+      if (state.candidates.size > 1) {
+        return { done: true, commitId: null, commit: null, diff: null, tested: state.tested, candidates: [...state.candidates] };
+      }
+      
+      const commit = this._loadCommit(state.bad);
+      const data = this.getCommit(state.bad);
+      const parentData = commit.parent ? this.getCommit(commit.parent) : this._emptyLike(data, data);
+      return {
+        done: true,
+        commitId: state.bad,
+        commit: this._logEntry(commit),
+        diff: this._generateDiff(parentData, data),
+        tested: state.tested
+      };
+    }
+  
+    /**
+     * Applies branch updates received from a push, all or nothing. Each branch must have a valid name,
+     * currently point at the update's `oldId` (`null` for a new branch) and, unless forced, move forward
+     * to a descendant.
+     * Pushing to the current branch moves HEAD as well.
+     * @private
+     * @param {Array<{ref: string, oldId: ?string, newId: string}>} updates - The branch updates.
+     * @param {boolean} [force=false] - Allow updates that are not fast-forwards.
+     * @returns {Array<Object>} The rejected updates with a `reason`; empty if all were applied.
+     */
+    _applyRefUpdates(updates, force = false) {
+      const rejected = [];
+      for (const { ref, oldId, newId } of updates) {
+        try {
+          this._checkRefName(ref, 'branch');
+        } catch (error) {
+          rejected.push({ ref, reason: error.message });
+          continue;
+        }
+        const current = this.branches[ref] || null;
+        if (!this._loadCommit(newId)) {
+          rejected.push({ ref, reason: `Commit ${newId} not found` });
+        } else if (current !== (oldId || null)) {
+          rejected.push({ ref, reason: 'stale old value' });
+        } else if (!force && current && !this._ancestors(newId).has(current)) {
+          rejected.push({ ref, reason: 'non-fast-forward' });
+        }
+      }
+      if (rejected.length > 0) return rejected;
+      
+      const before = this._refState();
+      const applied = [];
+      try {
+        for (const { ref, newId } of updates) {
+          applied.push([ref, ref in this.branches ? this.branches[ref] : undefined]);
+          this._updateRef(ref, newId, 'push');
+          if (ref === this.currentBranch) this._setHead(newId, 'push');
+        }
+      } catch (error) {
+        for (const [ref, oldId] of applied.reverse()) {
+          if (oldId === undefined) delete this.branches[ref];
+          else this.branches[ref] = oldId;
+          this.unsavedRefs.add(ref);
+        }
+        this.HEAD = before.HEAD;
+        return updates.map(({ ref }) => ({ ref, reason: error.message }));
+      }
+      
+      this._emitChange('push', before, { updates });
+      return [];
+    }
+  
+    /**
+     * Finds the nearest common ancestor of two commits of this instance.
+     * @private
+     * @param {?string} commitId1 - The first commit.
+     * @param {?string} commitId2 - The second commit.
+     * @returns {?string} The ID of the common ancestor, or null if the histories are unrelated.
+     */
+    _mergeBase(commitId1, commitId2) {
+      if (!commitId1 || !commitId2) return null;
+      
+      const theirAncestors = this._ancestors(commitId2);
+      const queue = [commitId1];
+      const seen = new Set(queue);
+      
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (theirAncestors.has(current)) return current;
+        for (const parent of this._parentsOf(this._loadCommit(current))) {
+          if (!seen.has(parent) && this._loadCommit(parent)) {
+            seen.add(parent);
+            queue.push(parent);
+          }
+        }
+      }
+      
+      return null;
+    }
+  
+    /**
+     * Generates a content-addressed commit ID.
+     * The ID is the SHA-1 hash of the canonicalized data, parents, message, author and timestamp, plus the
+     * committer, metadata and schema version when the commit has them, so identical commits made on different replicas get the same ID.
+     * @private
+     * @param {Object} commit - The commit object. Only its hashed fields are read.
+     * @param {*} data - The data of the commit.
+     * @returns {string} A 40-character hexadecimal commit ID.
+     */
+    _generateCommitId(commit, data) {
+      const fields = {
+        data,
+        parents: this._parentsOf(commit),
+        message: commit.message,
+        author: commit.author || null,
+        timestamp: commit.timestamp
+      };
+      if (commit.committer) fields.committer = commit.committer;
+      if (commit.metadata) fields.metadata = commit.metadata;
+      if (commit.schemaVersion !== undefined) fields.schemaVersion = commit.schemaVersion;
+      return this._sha1(this._canonicalize(fields));
+    }
+  
+    /**
+     * Serializes a value to JSON with object keys sorted, so equal values always produce the same string.
+     * Values JSON can't represent use the same `{ "$type", "value" }` form as `_encode()`; Map entries and
+     * Set items are sorted, and a reference back to an enclosing object is written as its distance up the tree.
+     * Plain JSON data serializes exactly as `JSON.stringify()` with sorted keys would.
+     * @private
+     * @param {*} value - The value to serialize.
+     * @param {Array<Object>} [ancestors=[]] - The objects enclosing the value, used to detect cycles.
+     * @returns {string} The canonical JSON string.
+     * @throws {Error} If the value contains a function or symbol.
+     */
+    _canonicalize(value, ancestors = []) {
+      const tagged = (type, inner) => `{"$type":${JSON.stringify(type)},"value":${inner}}`;
+      
+      switch (typeof value) {
+        case 'undefined':
+          return '{"$type":"undefined"}';
+        case 'bigint':
+          return tagged('BigInt', JSON.stringify(value.toString()));
+        case 'number':
+          return Number.isFinite(value) && !Object.is(value, -0)
+            ? JSON.stringify(value)
+            : tagged('Number', JSON.stringify(Object.is(value, -0) ? '-0' : String(value)));
+        case 'function':
+        case 'symbol':
+          throw new Error(`Cannot serialize a ${typeof value}`);
+        default:
+          if (typeof value !== 'object' || value === null) return JSON.stringify(value);
+      }
+      
+      if (ancestors.includes(value)) {
+        return tagged('Ref', String(ancestors.length - 1 - ancestors.lastIndexOf(value)));
+      }
+      const inner = ancestors.concat([value]);
+      const canonical = item => this._canonicalize(item, inner);
+      const sorted = items => items.sort().join(',');
+      
+      const custom = this._customType(value);
+      if (custom) return tagged(custom.name, canonical(custom.encode(value)));
+      
+      if (Array.isArray(value)) {
+        return `[${Array.from(value, canonical).join(',')}]`;
+      }
+      if (value instanceof Date) {
+        return tagged('Date', Number.isNaN(value.getTime()) ? 'null' : String(value.getTime()));
+      }
+      if (value instanceof RegExp) {
+        return tagged('RegExp', canonical({ source: value.source, flags: value.flags }));
+      }
+      if (value instanceof Map) {
+        return tagged('Map', `[${sorted([...value].map(([key, item]) => `[${canonical(key)},${canonical(item)}]`))}]`);
+      }
+      if (value instanceof Set) {
+        return tagged('Set', `[${sorted([...value].map(canonical))}]`);
+      }
+      if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return tagged(this._binaryType(value), JSON.stringify(this._toBase64(this._bytesOf(value))));
+      }
+      if (value instanceof Error) {
+        return tagged('Error', canonical({ name: value.name, message: value.message }));
+      }
+      
+      const entries = sorted(Object.keys(value).map(key => `${JSON.stringify(key)}:${canonical(value[key])}`));
+      return '$type' in value ? tagged('Object', `{${entries}}`) : `{${entries}}`;
+    }
+  
+    /**
+     * Computes the SHA-1 hash of a string or byte array.
+     * @private
+     * @param {string|Uint8Array} input - The input. Strings are encoded as UTF-8.
+     * @returns {string} The hash as a 40-character hexadecimal string.
+     */
+    _sha1(input) {
+      const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+      const length = bytes.length;
+      const blockCount = ((length + 8) >> 6) + 1;
+      const words = new Uint32Array(blockCount * 16);
+  
+      for (let i = 0; i < length; i++) {
+        words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+      }
+      words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+      words[blockCount * 16 - 1] = length * 8;
+      words[blockCount * 16 - 2] = Math.floor(length / 0x20000000);
+  
+      const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+      const w = new Uint32Array(80);
+      const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+  
+      for (let block = 0; block < words.length; block += 16) {
+        for (let t = 0; t < 80; t++) {
+          w[t] = t < 16 ? words[block + t] : rotl(w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16], 1);
+        }
+  
+        let [a, b, c, d, e] = h;
+        for (let t = 0; t < 80; t++) {
+          let f;
+          let k;
+          if (t < 20) {
+            f = (b & c) | (~b & d);
+            k = 0x5a827999;
+          } else if (t < 40) {
+            f = b ^ c ^ d;
+            k = 0x6ed9eba1;
+          } else if (t < 60) {
+            f = (b & c) | (b & d) | (c & d);
+            k = 0x8f1bbcdc;
+          } else {
+            f = b ^ c ^ d;
+            k = 0xca62c1d6;
+          }
+          const temp = (rotl(a, 5) + f + e + k + w[t]) >>> 0;
+          e = d;
+          d = c;
+          c = rotl(b, 30) >>> 0;
+          b = a;
+          a = temp;
+        }
+  
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+      }
+  
+      return h.map(word => word.toString(16).padStart(8, '0')).join('');
+    }
+  
+    /**
+     * Creates a deep clone of a value with `structuredClone()` semantics: Dates, RegExps, Maps, Sets,
+     * BigInts, typed arrays, ArrayBuffers, Errors, `undefined`, shared references and cycles are kept.
+     * Types registered with `VersionControl.registerType()` are cloned through their encoder.
+     * Other class instances become plain objects.
+     * @private
+     * @param {*} value - The value to clone.
+     * @param {Map<Object, Object>} [copies] - Objects already cloned, mapped to their copies.
+     * @returns {*} A deep clone of the value.
+     * @throws {Error} If the value contains a function or symbol.
+     */
+    _deepClone(value, copies = new Map()) {
+      if (typeof value === 'function' || typeof value === 'symbol') {
+        throw new Error(`Cannot clone a ${typeof value}`);
+      }
+      if (typeof value !== 'object' || value === null) return value;
+      if (copies.has(value)) return copies.get(value);
+      
+      const custom = this._customType(value);
+      let copy;
+      if (custom) {
+        copy = custom.decode(this._deepClone(custom.encode(value), copies));
+      } else if (value instanceof Date) {
+        copy = new Date(value.getTime());
+      } else if (value instanceof RegExp) {
+        copy = new RegExp(value.source, value.flags);
+      } else if (value instanceof ArrayBuffer) {
+        copy = value.slice(0);
+      } else if (value instanceof DataView) {
+        copy = new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+      } else if (ArrayBuffer.isView(value)) {
+        copy = value.slice();
+      } else if (value instanceof Error) {
+        copy = new Error(value.message);
+        copy.name = value.name;
+      } else if (value instanceof Map) {
+        copy = new Map();
+        copies.set(value, copy);
+        value.forEach((item, key) => copy.set(this._deepClone(key, copies), this._deepClone(item, copies)));
+      } else if (value instanceof Set) {
+        copy = new Set();
+        copies.set(value, copy);
+        value.forEach(item => copy.add(this._deepClone(item, copies)));
+      } else {
+        copy = Array.isArray(value) ? new Array(value.length) : {};
+        copies.set(value, copy);
+        for (const key of Object.keys(value)) {
+          copy[key] = this._deepClone(value[key], copies);
+        }
+      }
+      
+      copies.set(value, copy);
+      return copy;
+    }
+  
+    /**
+     * Encodes a value as JSON-safe data that `_decode()` turns back into an identical value.
+     * Plain JSON data is returned as is. Other values become `{ $type, value }` objects: `undefined`,
+     * non-finite numbers and `-0`, BigInts, Dates, RegExps, Maps, Sets, typed arrays, ArrayBuffers,
+     * Errors and registered custom types. A repeated reference to an object becomes `{ $type: 'Ref' }`
+     * with the index of its first occurrence, and plain objects that have a `$type` key of their own
+     * are wrapped as `{ $type: 'Object' }`.
+     * @private
+     * @param {*} value - The value to encode.
+     * @returns {*} The JSON-safe encoding.
+     * @throws {Error} If the value contains a function or symbol.
+     */
+    _encode(value) {
+      const indices = new Map();
+      
+      const encode = current => {
+        switch (typeof current) {
+          case 'undefined':
+            return { $type: 'undefined' };
+          case 'bigint':
+            return { $type: 'BigInt', value: current.toString() };
+          case 'number':
+            if (Object.is(current, -0)) return { $type: 'Number', value: '-0' };
+            return Number.isFinite(current) ? current : { $type: 'Number', value: String(current) };
+          case 'function':
+          case 'symbol':
+            throw new Error(`Cannot serialize a ${typeof current}`);
+          default:
+            if (typeof current !== 'object' || current === null) return current;
+        }
+        
+        if (indices.has(current)) return { $type: 'Ref', value: indices.get(current) };
+        indices.set(current, indices.size);
+        
+        const custom = this._customType(current);
+        if (custom) return { $type: custom.name, value: encode(custom.encode(current)) };
+        if (Array.isArray(current)) return Array.from(current, encode);
+        if (current instanceof Date) {
+          return { $type: 'Date', value: Number.isNaN(current.getTime()) ? null : current.getTime() };
+        }
+        if (current instanceof RegExp) return { $type: 'RegExp', value: { source: current.source, flags: current.flags } };
+        if (current instanceof Map) return { $type: 'Map', value: [...current].map(entry => entry.map(encode)) };
+        if (current instanceof Set) return { $type: 'Set', value: [...current].map(encode) };
+        if (current instanceof ArrayBuffer || ArrayBuffer.isView(current)) {
+          return { $type: this._binaryType(current), value: this._toBase64(this._bytesOf(current)) };
+        }
+        if (current instanceof Error) return { $type: 'Error', value: { name: current.name, message: current.message } };
+        
+        const encoded = {};
+        for (const key of Object.keys(current)) {
+          encoded[key] = encode(current[key]);
+        }
+        return '$type' in current ? { $type: 'Object', value: encoded } : encoded;
+      };
+      
+      return encode(value);
+    }
+  
+    /**
+     * Decodes data produced by `_encode()`.
+     * @private
+     * @param {*} encoded - The JSON-safe encoding.
+     * @returns {*} The decoded value.
+     * @throws {Error} If the data uses a type that isn't built in or registered.
+     */
+    _decode(encoded) {
+      const objects = [];
+      const remember = object => {
+        objects.push(object);
+        return object;
+      };
+      const decodeEntries = (source, target) => {
+        for (const key of Object.keys(source)) {
+          target[key] = decode(source[key]);
+        }
+        return target;
+      };
+      
+      const decode = current => {
+        if (typeof current !== 'object' || current === null) return current;
+        if (Array.isArray(current)) {
+          const array = remember([]);
+          current.forEach(item => array.push(decode(item)));
+          return array;
+        }
+        if (typeof current.$type !== 'string') return decodeEntries(current, remember({}));
+        
+        const { $type: type, value } = current;
+        switch (type) {
+          case 'undefined': return undefined;
+          case 'BigInt': return BigInt(value);
+          case 'Number': return Number(value);
+          case 'Ref': return objects[value];
+          case 'Object': return decodeEntries(value, remember({}));
+          case 'Date': return remember(new Date(value === null ? NaN : value));
+          case 'RegExp': return remember(new RegExp(value.source, value.flags));
+          case 'Error': {
+            const error = remember(new Error(value.message));
+            error.name = value.name;
+            return error;
+          }
+          case 'Map': {
+            const map = remember(new Map());
+            value.forEach(([key, item]) => map.set(decode(key), decode(item)));
+            return map;
+          }
+          case 'Set': {
+            const set = remember(new Set());
+            value.forEach(item => set.add(decode(item)));
+            return set;
+          }
+        }
+        
+        if (BINARY_TYPES.includes(type)) {
+          const bytes = this._fromBase64(value);
+          if (type === 'ArrayBuffer') return remember(bytes.buffer);
+          if (type === 'DataView') return remember(new DataView(bytes.buffer));
+          return remember(new globalThis[type](bytes.buffer));
+        }
+        
+        const custom = VersionControl.customTypes.get(type);
+        if (!custom) {
+          throw new Error(`Cannot decode unknown type '${type}'`);
+        }
+        const index = objects.push(null) - 1;
+        objects[index] = custom.decode(decode(value));
+        return objects[index];
+      };
+      
+      return decode(encoded);
+    }
+  
+    /**
+     * Finds the registered custom type a value belongs to.
+     * @private
+     * @param {Object} value - The value.
+     * @returns {?Object} The type's `{ name, test, encode, decode }` handlers, or null.
+     */
+    _customType(value) {
+      for (const custom of VersionControl.customTypes.values()) {
+        if (custom.test(value)) return custom;
+      }
+      return null;
+    }
+  
+    /**
+     * Checks whether a value is an array or plain object, which diffs and merges descend into.
+     * Other objects, such as Dates and Maps, are compared as whole values.
+     * @private
+     * @param {*} value - The value.
+     * @returns {boolean} `true` for arrays and plain objects.
+     */
+    _isContainer(value) {
+      if (Array.isArray(value)) return true;
+      if (typeof value !== 'object' || value === null || this._customType(value)) return false;
+      const prototype = Object.getPrototypeOf(value);
+      return prototype === Object.prototype || prototype === null;
+    }
+  
+    /**
+     * Gets the type name of an ArrayBuffer, DataView or typed array.
+     * @private
+     * @param {ArrayBuffer|ArrayBufferView} value - The binary value.
+     * @returns {string} The type name, e.g. `Uint8Array`.
+     * @throws {Error} If the type isn't supported.
+     */
+    _binaryType(value) {
+      const type = BINARY_TYPES.find(name => typeof globalThis[name] === 'function' && value instanceof globalThis[name]);
+      if (!type) {
+        throw new Error(`Cannot serialize a ${value.constructor.name}`);
+      }
+      return type;
+    }
+  
+    /**
+     * Gets the bytes of an ArrayBuffer, DataView or typed array without copying them.
+     * @private
+     * @param {ArrayBuffer|ArrayBufferView} value - The binary value.
+     * @returns {Uint8Array} The bytes.
+     */
+    _bytesOf(value) {
+      return value instanceof ArrayBuffer
+        ? new Uint8Array(value)
+        : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+  
+    /**
+     * Encodes bytes as base64.
+     * @private
+     * @param {Uint8Array} bytes - The bytes.
+     * @returns {string} The base64 string.
+     */
+    _toBase64(bytes) {
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }
+  
+    /**
+     * Decodes a base64 string into bytes.
+     * @private
+     * @param {string} text - The base64 string.
+     * @returns {Uint8Array} The bytes, in a buffer of their own.
+     */
+    _fromBase64(text) {
+      const binary = atob(text);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+  
+    /**
+     * Generates a diff object between two objects.
+     * @private
+     * @param {*} obj1 - The first object.
+     * @param {*} obj2 - The second object.
+     * @param {string} [path=''] - The current path for nested objects.
+     * @param {Array<Object>} [ancestors=[]] - The objects enclosing `obj1`, so that cycles are compared instead of descended into.
+     * @returns {Object} An object with `added`, `removed`, and `modified` arrays.
+     */
+    _generateDiff(obj1, obj2, path = '', ancestors = []) {
+      const diff = { added: [], removed: [], modified: [] };
+      const isValue = value => typeof value === 'string' || (typeof value === 'object' && value !== null && !this._isContainer(value));
+      
+      if (isValue(obj1) || isValue(obj2)) {
+        if (this._canonicalize(obj1) !== this._canonicalize(obj2)) {
+          diff.modified.push({ path, old: obj1, new: obj2 });
+        }
+        return diff;
+      }
+  
+      const keys1 = new Set(Object.keys(obj1 || {}));
+      const keys2 = new Set(Object.keys(obj2 || {}));
+      
+      for (const key of keys1) {
+        if (!keys2.has(key)) {
+          diff.removed.push({ path: path ? `${path}.${key}` : key, value: obj1[key] });
+        }
+      }
+      
+      for (const key of keys2) {
+        const newPath = path ? `${path}.${key}` : key;
+        if (!keys1.has(key)) {
+          diff.added.push({ path: newPath, value: obj2[key] });
+        } else if (obj1[key] !== obj2[key] && this._canonicalize(obj1[key]) !== this._canonicalize(obj2[key])) {
+          if (this._isContainer(obj1[key]) && this._isContainer(obj2[key]) &&
+              obj1[key] !== obj1 && !ancestors.includes(obj1[key])) {
+            const nested = this._generateDiff(obj1[key], obj2[key], newPath, ancestors.concat([obj1]));
+            diff.added.push(...nested.added);
+            diff.removed.push(...nested.removed);
+            diff.modified.push(...nested.modified);
+          } else {
+            diff.modified.push({ path: newPath, old: obj1[key], new: obj2[key] });
+          }
+        }
+      }
+      
+      return diff;
+    }
+  
+    /**
+     * Performs a three-way merge of two versions of the data against a common base.
+     * Changes are compared path by path using the path model of `_generateDiff()`. A conflict is
+     * reported when both sides change the same path, or a path and one of its ancestors, differently.
+     * Element indexes don't identify elements once either side inserts or removes some, so a change
+     * inside an array counts as a change to the whole array.
+     * @private
+     * @param {*} base - The data at the common ancestor.
+     * @param {*} ours - Our version of the data.
+     * @param {*} theirs - Their version of the data.
+     * @param {('ours'|'theirs')} [conflictResolution] - Which side wins on conflicting paths.
+     * @returns {Object} An object with the merged `data` and a `conflicts` array.
+     */
+    _threeWayMerge(base, ours, theirs, conflictResolution) {
+      const isContainer = value => this._isContainer(value);
+      const sameShape = isContainer(base) && isContainer(ours) && isContainer(theirs) &&
+        Array.isArray(base) === Array.isArray(ours) && Array.isArray(base) === Array.isArray(theirs);
+  
+      if (!sameShape || Array.isArray(base)) {
+        return this._mergeValue('', base, ours, theirs, conflictResolution);
+      }
+  
+      const wholeArrays = changes => {
+        const collapsed = new Map();
+        for (const [path, change] of changes) {
+          const keys = path.split('.');
+          const depth = keys.findIndex((key, i) => i > 0 &&
+            [base, ours, theirs].some(doc => Array.isArray(this._getPath(doc, keys.slice(0, i).join('.')))));
+          if (depth === -1) {
+            collapsed.set(path, change);
+          } else {
+            collapsed.set(keys.slice(0, depth).join('.'), 'modified');
+          }
+        }
+        return collapsed;
+      };
+      const ourChanges = wholeArrays(this._changedPaths(this._generateDiff(base, ours)));
+      const theirChanges = wholeArrays(this._changedPaths(this._generateDiff(base, theirs)));
+      const result = this._deepClone(ours);
+      const conflicts = [];
+      const conflictPaths = new Set();
+      const removals = [];
+  
+      for (const [path, change] of theirChanges) {
+        const overlapping = [...ourChanges.keys()].filter(ourPath => this._pathsOverlap(path, ourPath));
+  
+        if (overlapping.length === 0) {
+          if (change === 'removed') {
+            removals.push(path);
+          } else {
+            this._setPath(result, path, this._getPath(theirs, path));
+          }
+          continue;
+        }
+  
+        const conflictPath = [path, ...overlapping].reduce((a, b) => (a.split('.').length <= b.split('.').length ? a : b));
+        const ourValue = this._getPath(ours, conflictPath);
+        const theirValue = this._getPath(theirs, conflictPath);
+  
+        if (conflictPaths.has(conflictPath) || this._canonicalize(ourValue) === this._canonicalize(theirValue)) {
+          continue;
+        }
+  
+        conflictPaths.add(conflictPath);
+        conflicts.push({
+          path: conflictPath,
+          base: this._getPath(base, conflictPath),
+          ours: ourValue,
+          theirs: theirValue
+        });
+  
+        if (conflictResolution === 'theirs') {
+          if (theirValue === undefined) {
+            removals.push(conflictPath);
+          } else {
+            this._setPath(result, conflictPath, theirValue);
+          }
+        }
+      }
+  
+      // Remove deepest paths first.
+      removals.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+      for (const path of removals) {
+        this._deletePath(result, path);
+      }
+  
+      return { data: result, conflicts };
+    }
+  
+    /**
+     * Merges a single value that cannot be combined path by path.
+     * @private
+     * @param {string} path - The path of the value.
+     * @param {*} base - The base value.
+     * @param {*} ours - Our value.
+     * @param {*} theirs - Their value.
+     * @param {('ours'|'theirs')} [conflictResolution] - Which side wins on conflict.
+     * @returns {Object} An object with the merged `data` and a `conflicts` array.
+     */
+    _mergeValue(path, base, ours, theirs, conflictResolution) {
+      const same = (a, b) => this._canonicalize(a) === this._canonicalize(b);
+  
+      if (same(ours, theirs) || same(theirs, base)) {
+        return { data: this._deepClone(ours), conflicts: [] };
+      }
+      if (same(ours, base)) {
+        return { data: this._deepClone(theirs), conflicts: [] };
+      }
+  
+      return {
+        data: this._deepClone(conflictResolution === 'theirs' ? theirs : ours),
+        conflicts: [{ path, base, ours, theirs }]
+      };
+    }
+  
+    /**
+     * Replays the change from `base` to `target` onto HEAD with a three-way merge and commits the result.
+     * @private
+     * @param {*} base - The data before the change.
+     * @param {*} target - The data after the change.
+     * @param {string} message - The commit message.
+     * @param {Object} options - Merge options, as accepted by `merge()`.
+     * @param {string} operation - The operation name, used for the after-event.
+     * @returns {Object} The result, with `success`, `message`, `commitId` and a `conflicts` array.
+     */
+    _replayChange(base, target, message, options, operation) {
+      const ours = this.getData();
+      const { data, conflicts } = this._threeWayMerge(base, ours, target, options.conflictResolution);
+      
+      if (conflicts.length > 0 && !options.conflictResolution) {
+        return { success: false, message: 'Merge conflict', commitId: null, conflicts };
+      }
+      if (this.HEAD && this._canonicalize(data) === this._canonicalize(ours)) {
+        return { success: true, message: 'Nothing to apply', commitId: null, conflicts };
+      }
+      
+      const before = this._refState();
+      const commitId = this.commit(data, message);
+      this._emitChange(operation, before, { commitId, conflicts });
+      
+      return { success: true, message: 'Change applied', commitId, conflicts };
+    }
+  
+    /**
+     * Flattens a diff into a map of changed paths.
+     * @private
+     * @param {Object} diff - A diff produced by `_generateDiff()`.
+     * @returns {Map<string, string>} A map from path to change type (`added`, `removed` or `modified`).
+     */
+    _changedPaths(diff) {
+      const paths = new Map();
+      for (const type of ['added', 'removed', 'modified']) {
+        for (const entry of diff[type]) {
+          paths.set(entry.path, type);
+        }
+      }
+      return paths;
+    }
+  
+    /**
+     * Checks whether a changed dot path falls under a path pattern. `*` matches one segment and `**` any
+     * number of them. A change to an ancestor or a descendant of a matching path also counts, since
+     * replacing `user` changes `user.profile.name` and changing `user.profile.name` changes `user.profile`.
+     * @private
+     * @param {string} pattern - The path pattern.
+     * @param {string} path - The changed path.
+     * @returns {boolean} `true` if the change touches the pattern.
+     */
+    _pathMatches(pattern, path) {
+      const patternParts = pattern === '' ? [] : pattern.split('.');
+      const pathParts = path === '' ? [] : path.split('.');
+      
+      const match = (i, j) => {
+        if (i === patternParts.length || j === pathParts.length) return true;
+        if (patternParts[i] === '**') return match(i + 1, j) || match(i, j + 1);
+        if (patternParts[i] !== '*' && patternParts[i] !== pathParts[j]) return false;
+        return match(i + 1, j + 1);
+      };
+      
+      return match(0, 0);
+    }
+  
+    /**
+     * Checks whether two paths are equal or one contains the other.
+     * @private
+     * @param {string} a - The first path.
+     * @param {string} b - The second path.
+     * @returns {boolean} `true` if the paths overlap.
+     */
+    _pathsOverlap(a, b) {
+      return a === b || a === '' || b === '' || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+    }
+  
+    /**
+     * Reads the value at a dot-separated path.
+     * @private
+     * @param {*} obj - The object to read from.
+     * @param {string} path - The path, or an empty string for the object itself.
+     * @returns {*} The value at the path, or undefined if it doesn't exist.
+     */
+    _getPath(obj, path) {
+      if (path === '') return obj;
+      let current = obj;
+      for (const key of path.split('.')) {
+        if (typeof current !== 'object' || current === null || !(key in current)) return undefined;
+        current = current[key];
+      }
+      return current;
+    }
+  
+    /**
+     * Sets the value at a dot-separated path, creating intermediate objects as needed.
+     * @private
+     * @param {Object} obj - The object to modify.
+     * @param {string} path - The path to set.
+     * @param {*} value - The value to store. It is cloned.
+     * @throws {Error} If the path would leave a hole in an array.
+     */
+    _setPath(obj, path, value) {
+      const keys = path.split('.');
+      const last = keys.pop();
+      let current = obj;
+      for (const key of keys) {
+        if (typeof current[key] !== 'object' || current[key] === null) {
+          current[key] = {};
+        }
+        current = current[key];
+      }
+      if (Array.isArray(current) && !(/^(0|[1-9]\d*)$/.test(last) && Number(last) <= current.length)) {
+        throw new Error(`Cannot set ${path}: index ${last} is outside the array`);
+      }
+      current[last] = this._deepClone(value);
+    }
+  
+    /**
+     * Deletes the value at a dot-separated path. Array elements are spliced out.
+     * @private
+     * @param {Object} obj - The object to modify.
+     * @param {string} path - The path to delete.
+     */
+    _deletePath(obj, path) {
+      const keys = path.split('.');
+      const last = keys.pop();
+      const parent = keys.length ? this._getPath(obj, keys.join('.')) : obj;
+      if (typeof parent !== 'object' || parent === null) return;
+      if (Array.isArray(parent)) {
+        parent.splice(Number(last), 1);
+      } else {
+        delete parent[last];
+      }
+    }
+  
+    /**
+     * Creates an empty container matching the shape of the given values, used as a merge base when there is no common ancestor.
+     * @private
+     * @param {*} ours - Our value.
+     * @param {*} theirs - Their value.
+     * @returns {*} An empty array or object, or null if the values aren't containers.
+     */
+    _emptyLike(ours, theirs) {
+      if (Array.isArray(ours) && Array.isArray(theirs)) return [];
+      const isObject = value => this._isContainer(value) && !Array.isArray(value);
+      return isObject(ours) && isObject(theirs) ? {} : null;
+    }
+  
+    /**
+     * Creates an RFC 6902 JSON Patch that turns one value into another.
+     * Objects are compared key by key. Arrays are compared with a longest common subsequence, so an
+     * insertion or removal only produces one operation, and elements that changed position become
+     * `move` operations. Strings can optionally carry a line- or character-level `textDiff`.
+     * @private
+     * @param {*} from - The original value.
+     * @param {*} to - The new value.
+     * @param {Object} [options={}] - Diff options, as accepted by `diff()`.
+     * @param {string} [pointer=''] - The JSON pointer of the current value.
+     * @param {Array<Object>} [ancestors=[]] - The objects enclosing `from`, so that cycles are replaced instead of descended into.
+     * @returns {Array<Object>} The patch operations.
+     */
+    _createPatch(from, to, options = {}, pointer = '', ancestors = []) {
+      if (from === to || this._canonicalize(from) === this._canonicalize(to)) return [];
+  
+      if (typeof from === 'string' && typeof to === 'string' && options.text) {
+        return [{ op: 'replace', path: pointer, value: to, textDiff: this._diffText(from, to, options.text) }];
+      }
+  
+      if (!this._isContainer(from) || !this._isContainer(to) || Array.isArray(from) !== Array.isArray(to) ||
+          ancestors.includes(from)) {
+        return [{ op: 'replace', path: pointer, value: this._deepClone(to) }];
+      }
+  
+      if (Array.isArray(from)) {
+        return this._createArrayPatch(from, to, options, pointer, ancestors);
+      }
+  
+      const ops = [];
+      for (const key of Object.keys(from)) {
+        if (!(key in to)) {
+          ops.push({ op: 'remove', path: this._childPointer(pointer, key) });
+        }
+      }
+      for (const key of Object.keys(to)) {
+        if (!(key in from)) {
+          ops.push({ op: 'add', path: this._childPointer(pointer, key), value: this._deepClone(to[key]) });
+        } else {
+          ops.push(...this._createPatch(from[key], to[key], options, this._childPointer(pointer, key), ancestors.concat([from])));
+        }
+      }
+      return ops;
+    }
+  
+    /**
+     * Creates the patch operations for an array.
+     * Elements are matched by identity: deep equality by default, or the `arrayKey` property for arrays
+     * of objects. Matched elements in the longest common subsequence stay in place; other matched
+     * elements are moved; the rest are removed or added. Keyed elements whose content changed are
+     * diffed recursively.
+     * @private
+     * @param {Array} from - The original array.
+     * @param {Array} to - The new array.
+     * @param {Object} options - Diff options.
+     * @param {string} pointer - The JSON pointer of the array.
+     * @param {Array<Object>} [ancestors=[]] - The objects enclosing the array.
+     * @returns {Array<Object>} The patch operations.
+     */
+    _createArrayPatch(from, to, options, pointer, ancestors = []) {
+      const identity = this._arrayIdentity(options.arrayKey);
+      const fromIds = from.map(identity);
+      const toIds = to.map(identity);
+      const common = this._lcs(fromIds, toIds);
+  
+      if (common === null) {
+        return [{ op: 'replace', path: pointer, value: this._deepClone(to) }];
+      }
+  
+      const stable = new Map(common.map(([i, j]) => [j, i]));
+      const stableFrom = new Set(common.map(([i]) => i));
+      const moves = new Map();
+      const movedFrom = new Set();
+      const unmatched = new Map();
+  
+      fromIds.forEach((id, i) => {
+        if (stableFrom.has(i)) return;
+        if (!unmatched.has(id)) unmatched.set(id, []);
+        unmatched.get(id).push(i);
+      });
+      toIds.forEach((id, j) => {
+        if (stable.has(j) || !unmatched.has(id) || unmatched.get(id).length === 0) return;
+        const i = unmatched.get(id).shift();
+        moves.set(j, i);
+        movedFrom.add(i);
+      });
+  
+      const ops = [];
+      const current = from.map((item, i) => i);
+      const child = index => this._childPointer(pointer, index);
+  
+      for (let i = from.length - 1; i >= 0; i--) {
+        if (!stableFrom.has(i) && !movedFrom.has(i)) {
+          ops.push({ op: 'remove', path: child(i) });
+          current.splice(i, 1);
+        }
+      }
+  
+      for (let j = 0; j < to.length; j++) {
+        const source = stable.has(j) ? stable.get(j) : moves.get(j);
+  
+        if (source === undefined) {
+          ops.push({ op: 'add', path: child(j), value: this._deepClone(to[j]) });
+          current.splice(j, 0, null);
+          continue;
+        }
+  
+        let position = current.indexOf(source);
+        if (stable.has(j)) {
+          // Elements still waiting to be moved may sit before a stable element; park them at the end.
+          while (position > j) {
+            ops.push({ op: 'move', from: child(j), path: child(current.length - 1) });
+            current.push(current.splice(j, 1)[0]);
+            position--;
+          }
+        } else if (position !== j) {
+          ops.push({ op: 'move', from: child(position), path: child(j) });
+          current.splice(j, 0, current.splice(position, 1)[0]);
+        }
+  
+        ops.push(...this._createPatch(from[source], to[j], options, child(j), ancestors.concat([from])));
+      }
+  
+      return ops;
+    }
+  
+    /**
+     * Builds the function that gives array elements their identity for matching.
+     * @private
+     * @param {string|Function} [arrayKey] - A property name, or a function returning an element's key.
+     * @returns {function(*): string} A function mapping an element to its identity string.
+     */
+    _arrayIdentity(arrayKey) {
+      return item => {
+        if (typeof arrayKey === 'function') {
+          return `key:${this._canonicalize(arrayKey(item))}`;
+        }
+        if (arrayKey && typeof item === 'object' && item !== null && item[arrayKey] !== undefined) {
+          return `key:${this._canonicalize(item[arrayKey])}`;
+        }
+        return `value:${this._canonicalize(item)}`;
+      };
+    }
+  
+    /**
+     * Computes a longest common subsequence of two sequences of identity strings.
+     * Common prefixes and suffixes are matched directly; the rest uses dynamic programming.
+     * @private
+     * @param {Array<string>} a - The first sequence.
+     * @param {Array<string>} b - The second sequence.
+     * @param {number} [maxCells=4000000] - The largest DP table to build before giving up.
+     * @returns {Array<Array<number>>|null} Matched `[indexInA, indexInB]` pairs in order, or null if the sequences are too large.
+     */
+    _lcs(a, b, maxCells = 4000000) {
+      let start = 0;
+      while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  
+      let endA = a.length;
+      let endB = b.length;
+      while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+      }
+  
+      const rows = endA - start;
+      const cols = endB - start;
+      if (rows * cols > maxCells) return null;
+  
+      const table = new Uint32Array((rows + 1) * (cols + 1));
+      const at = (i, j) => i * (cols + 1) + j;
+      for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+          table[at(i, j)] = a[start + i] === b[start + j]
+            ? table[at(i + 1, j + 1)] + 1
+            : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+        }
+      }
+  
+      const pairs = [];
+      for (let i = 0; i < start; i++) pairs.push([i, i]);
+  
+      let i = 0;
+      let j = 0;
+      while (i < rows && j < cols) {
+        if (a[start + i] === b[start + j]) {
+          pairs.push([start + i, start + j]);
+          i++;
+          j++;
+        } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+          i++;
+        } else {
+          j++;
+        }
+      }
+  
+      for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+      return pairs;
+    }
+  
+    /**
+     * Computes a line- or character-level diff between two strings.
+     * @private
+     * @param {string} from - The original string.
+     * @param {string} to - The new string.
+     * @param {('line'|'char')} mode - Whether to compare lines or characters.
+     * @returns {Array<Object>} Hunks of `{ op: 'equal'|'delete'|'insert', value }`, in order.
+     */
+    _diffText(from, to, mode) {
+      const split = text => (mode === 'line' ? text.match(/[^\n]*\n|[^\n]+$/g) || [] : Array.from(text));
+      const a = split(from);
+      const b = split(to);
+      const common = this._lcs(a, b);
+  
+      if (common === null) {
+        return [{ op: 'delete', value: from }, { op: 'insert', value: to }];
+      }
+  
+      const hunks = [];
+      const push = (op, value) => {
+        const last = hunks[hunks.length - 1];
+        if (last && last.op === op) {
+          last.value += value;
+        } else {
+          hunks.push({ op, value });
+        }
+      };
+  
+      let i = 0;
+      let j = 0;
+      for (const [matchA, matchB] of common.concat([[a.length, b.length]])) {
+        while (i < matchA) push('delete', a[i++]);
+        while (j < matchB) push('insert', b[j++]);
+        if (i < a.length && j < b.length) {
+          push('equal', a[i++]);
+          j++;
+        }
+      }
+      return hunks;
+    }
+  
+    /**
+     * Applies an RFC 6902 JSON Patch to a value. The value is modified in place, so callers that need
+     * atomicity must pass a clone. Operations are validated as they are applied.
+     * @private
+     * @param {*} doc - The value to patch.
+     * @param {Array<Object>} patch - The patch operations.
+     * @returns {*} The patched value. This is a new value if the patch replaces the root.
+     * @throws {Error} If the patch is malformed, a path doesn't exist or a `test` operation fails.
+     */
+    _applyPatch(doc, patch) {
+      if (!Array.isArray(patch)) {
+        throw new Error('Patch must be an array of operations');
+      }
+  
+      patch.forEach((operation, index) => {
+        try {
+          doc = this._applyOperation(doc, operation);
+        } catch (error) {
+          const description = operation && typeof operation === 'object' ? `${operation.op} ${operation.path}` : String(operation);
+          throw new Error(`Patch operation ${index} (${description}) failed: ${error.message}`);
+        }
+      });
+      return doc;
+    }
+  
+    /**
+     * Applies a single JSON Patch operation.
+     * @private
+     * @param {*} doc - The value to patch, modified in place.
+     * @param {Object} operation - The operation.
+     * @returns {*} The patched value.
+     * @throws {Error} If the operation is malformed, a path doesn't exist or a `test` fails.
+     */
+    _applyOperation(doc, operation) {
+      if (!operation || typeof operation !== 'object' || typeof operation.path !== 'string') {
+        throw new Error('operation must be an object with a string path');
+      }
+      if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        throw new Error('missing value');
+      }
+      if (['move', 'copy'].includes(operation.op)) {
+        if (typeof operation.from !== 'string') throw new Error('missing from');
+        this._assertPointer(doc, operation.from);
+      }
+  
+      switch (operation.op) {
+        case 'add':
+          return this._pointerAdd(doc, operation.path, this._deepClone(operation.value));
+        case 'remove':
+          if (operation.path === '') throw new Error('cannot remove the root');
+          this._assertPointer(doc, operation.path);
+          return this._pointerRemove(doc, operation.path);
+        case 'replace':
+          this._assertPointer(doc, operation.path);
+          return this._pointerAdd(this._pointerRemove(doc, operation.path), operation.path, this._deepClone(operation.value));
+        case 'move': {
+          if (operation.path.startsWith(`${operation.from}/`)) {
+            throw new Error('cannot move a value into one of its children');
+          }
+          const value = this._pointerGet(doc, operation.from);
+          return this._pointerAdd(this._pointerRemove(doc, operation.from), operation.path, value);
+        }
+        case 'copy':
+          return this._pointerAdd(doc, operation.path, this._deepClone(this._pointerGet(doc, operation.from)));
+        case 'test':
+          this._assertPointer(doc, operation.path);
+          if (this._canonicalize(this._pointerGet(doc, operation.path)) !== this._canonicalize(operation.value)) {
+            throw new Error('test failed: value does not match');
+          }
+          return doc;
+        default:
+          throw new Error(`unsupported operation '${operation.op}'`);
+      }
+    }
+  
+    /**
+     * Throws unless a JSON pointer refers to an existing value.
+     * @private
+     * @param {*} doc - The document.
+     * @param {string} pointer - The JSON pointer.
+     * @throws {Error} If the path doesn't exist.
+     */
+    _assertPointer(doc, pointer) {
+      let current = doc;
+      for (const key of this._parsePointer(pointer)) {
+        const exists = Array.isArray(current)
+          ? /^(0|[1-9]\d*)$/.test(key) && Number(key) < current.length
+          : typeof current === 'object' && current !== null && Object.prototype.hasOwnProperty.call(current, key);
+        if (!exists) {
+          throw new Error(`path ${pointer} does not exist`);
+        }
+        current = current[key];
+      }
+    }
+  
+    /**
+     * Reads the value at a JSON pointer.
+     * @private
+     * @param {*} doc - The document.
+     * @param {string} pointer - The JSON pointer.
+     * @returns {*} The value, or undefined if it doesn't exist.
+     */
+    _pointerGet(doc, pointer) {
+      let current = doc;
+      for (const key of this._parsePointer(pointer)) {
+        if (typeof current !== 'object' || current === null || !(key in current)) return undefined;
+        current = current[key];
+      }
+      return current;
+    }
+  
+    /**
+     * Adds a value at a JSON pointer, inserting into arrays and setting object members.
+     * @private
+     * @param {*} doc - The document, modified in place.
+     * @param {string} pointer - The JSON pointer. `-` as the last token appends to an array.
+     * @param {*} value - The value to add.
+     * @returns {*} The document, or the value itself if the pointer is the root.
+     * @throws {Error} If the parent doesn't exist or an array index is out of bounds.
+     */
+    _pointerAdd(doc, pointer, value) {
+      if (pointer === '') return value;
+  
+      const keys = this._parsePointer(pointer);
+      const last = keys.pop();
+      const parentPointer = this._joinPointer(keys);
+      this._assertPointer(doc, parentPointer);
+      const parent = this._pointerGet(doc, parentPointer);
+  
+      if (Array.isArray(parent)) {
+        const index = last === '-' ? parent.length : Number(last);
+        if (!(last === '-' || /^(0|[1-9]\d*)$/.test(last)) || index > parent.length) {
+          throw new Error(`array index ${last} is out of bounds`);
+        }
+        parent.splice(index, 0, value);
+      } else if (typeof parent === 'object' && parent !== null) {
+        parent[last] = value;
+      } else {
+        throw new Error(`path ${parentPointer} is not an object or array`);
+      }
+      return doc;
+    }
+  
+    /**
+     * Removes the value at a JSON pointer, splicing array elements out.
+     * @private
+     * @param {*} doc - The document, modified in place.
+     * @param {string} pointer - The JSON pointer.
+     * @returns {*} The document, or null if the pointer is the root.
+     */
+    _pointerRemove(doc, pointer) {
+      if (pointer === '') return null;
+  
+      const keys = this._parsePointer(pointer);
+      const last = keys.pop();
+      const parent = this._pointerGet(doc, this._joinPointer(keys));
+  
+      if (Array.isArray(parent)) {
+        parent.splice(Number(last), 1);
+      } else {
+        delete parent[last];
+      }
+      return doc;
+    }
+  
+    /**
+     * Appends an escaped reference token to a JSON pointer.
+     * @private
+     * @param {string} pointer - The parent pointer.
+     * @param {string|number} key - The child key or index.
+     * @returns {string} The child pointer.
+     */
+    _childPointer(pointer, key) {
+      return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+  
+    /**
+     * Builds a JSON pointer from unescaped reference tokens.
+     * @private
+     * @param {Array<string>} keys - The reference tokens.
+     * @returns {string} The JSON pointer.
+     */
+    _joinPointer(keys) {
+      return keys.reduce((pointer, key) => this._childPointer(pointer, key), '');
+    }
+  
+    /**
+     * Splits a JSON pointer into its unescaped reference tokens. Tokens that would reach an object's
+     * prototype are refused.
+     * @private
+     * @param {string} pointer - The JSON pointer, e.g. `/user/name`.
+     * @returns {Array<string>} The reference tokens.
+     * @throws {Error} If the pointer is neither empty nor starts with `/`, or names `__proto__`, `constructor` or `prototype`.
+     */
+    _parsePointer(pointer) {
+      if (pointer !== '' && !pointer.startsWith('/')) {
+        throw new Error(`invalid JSON pointer '${pointer}'; it must be empty or start with /`);
+      }
+      const keys = pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+      const unsafe = keys.find(key => RESERVED_KEYS.includes(key));
+      if (unsafe !== undefined) {
+        throw new Error(`JSON pointer ${pointer} names the reserved key '${unsafe}'`);
+      }
+      return keys;
+    }
+  
+    /**
+     * Wraps the different message port APIs in one interface. Ports with `postMessage()` (`MessagePort`,
+     * `Worker`, `BroadcastChannel`) carry objects; ports with only `send()` (WebSockets) carry JSON strings.
+     * @private
+     * @param {Object} port - The message port.
+     * @returns {{send: function(Object), listen: function(function(Object)): Function}} The wrapped port.
+     */
+    static _portChannel(port) {
+      const usesPostMessage = typeof port.postMessage === 'function';
+      const decode = raw => {
+        if (raw instanceof Uint8Array) raw = new TextDecoder().decode(raw);
+        if (typeof raw !== 'string') return raw;
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return null;
+        }
+      };
+      
+      return {
+        send: message => (usesPostMessage ? port.postMessage(message) : port.send(JSON.stringify(message))),
+        listen: handler => {
+          if (typeof port.addEventListener === 'function') {
+            const listener = event => handler(decode(event.data));
+            port.addEventListener('message', listener);
+            if (typeof port.start === 'function') port.start();
+            return () => port.removeEventListener('message', listener);
+          }
+          const listener = raw => handler(decode(raw && raw.data !== undefined ? raw.data : raw));
+          port.on('message', listener);
+          return () => (port.off ? port.off('message', listener) : port.removeListener('message', listener));
+        }
+      };
+    }
+  }
+  
+  /**
+   * A mutable working copy of a `VersionControl` instance's HEAD, created with `workingCopy()`.
+   * Changes made through `data` are tracked by path. `stage()` copies them to the index, and `commit()`
+   * commits the index, like Git's working tree and staging area.
+   *
+   * @class WorkingCopy
+   */
+  class WorkingCopy {
+    /**
+     * @param {VersionControl} vc - The instance the working copy belongs to.
+     */
+    constructor(vc) {
+      /** @private */
+      this.vc = vc;
+      this.reset();
+    }
+  
+    /**
+     * The working document. Plain objects and arrays in it are wrapped in Proxies that record every change.
+     * Changes inside an array are recorded for the whole array. Other values, such as Maps and Dates, must be
+     * replaced rather than changed in place to be tracked. Assigning to `data` replaces the whole document.
+     * @type {*}
+     */
+    get data() {
+      return this._wrap(this.working, '');
+    }
+  
+    set data(value) {
+      this.working = this.vc._deepClone(value);
+      this.changed.add('');
+    }
+  
+    /**
+     * Stages changes: copies the working document's value at a path to the index.
+     *
+     * @param {string} [path] - A dot-separated path such as `'settings.theme'`, or `''` for the whole document.
+     *   Stages every changed path if omitted.
+     * @returns {Array<string>} The staged paths.
+     */
+    stage(path) {
+      const paths = path === undefined ? [...this.changed] : [path];
+      for (const current of paths) {
+        this.index = this._copyPath(this.working, this.index, current);
+        this.staged.add(current);
+        for (const changed of this.changed) {
+          if (this._within(changed, current)) this.changed.delete(changed);
+        }
+      }
+      return [...this.staged];
+    }
+  
+    /**
+     * Unstages changes: resets the index at a path to HEAD. The working document keeps the changes.
+     *
+     * @param {string} [path] - A dot-separated path, or `''` for the whole document. Unstages everything if omitted.
+     * @returns {Array<string>} The paths that are still staged.
+     */
+    unstage(path) {
+      const paths = path === undefined ? [...this.staged] : [path];
+      for (const current of paths) {
+        this.index = this._copyPath(this.base, this.index, current);
+        this.changed.add(current);
+        for (const staged of this.staged) {
+          if (this._within(staged, current)) this.staged.delete(staged);
+        }
+      }
+      return [...this.staged];
+    }
+  
+    /**
+     * Shows the staged changes (HEAD to index) and the unstaged changes (index to working document).
+     * Both are computed against the current HEAD. If HEAD has moved since the working copy was loaded or
+     * last committed, the index is the new HEAD with the staged paths applied, as `commit()` would commit it,
+     * and the working document still holds the old HEAD until `reset()`, so the unstaged changes include
+     * undoing whatever moved HEAD.
+     *
+     * @returns {Object} `staged` and `unstaged` diffs in the format of `diff()`, the `stagedPaths` and
+     *   `changedPaths`, and `headMoved`, which is `true` if HEAD has moved.
+     */
+    status() {
+      const { base, index } = this._current();
+      return {
+        staged: this.vc._generateDiff(base, index),
+        unstaged: this.vc._generateDiff(index, this.working),
+        stagedPaths: [...this.staged],
+        changedPaths: [...this.changed],
+        headMoved: this.vc.HEAD !== this.baseId
+      };
+    }
+  
+    /**
+     * Checks whether the working copy differs from the current HEAD. Only the changed and staged paths are
+     * compared, unless HEAD has moved since the working copy was loaded or last committed.
+     *
+     * @returns {boolean} `true` if there are staged or unstaged changes.
+     */
+    isDirty() {
+      const { base, index } = this._current();
+      const same = (a, b) => this.vc._canonicalize(a) === this.vc._canonicalize(b);
+      if (this.vc.HEAD !== this.baseId) {
+        return !same(base, index) || !same(index, this.working);
+      }
+      
+      const differs = (a, b, path) => !same(this.vc._getPath(a, path), this.vc._getPath(b, path));
+      for (const path of this.changed) {
+        if (differs(index, this.working, path)) return true;
+      }
+      for (const path of this.staged) {
+        if (differs(base, index, path)) return true;
+      }
+      return false;
+    }
+  
+    /**
+     * Commits the staged changes only. Unstaged changes stay in the working document. If HEAD has moved
+     * since the working copy was created or last committed, the staged paths are applied on top of it.
+     *
+     * @param {string} [message='Update'] - The commit message.
+     * @param {Object} [options={}] - Commit options, as accepted by `commit()`.
+     * @returns {string} The ID of the new commit.
+     * @throws {Error} If nothing is staged, or the commit is rejected.
+     */
+    commit(message = 'Update', options = {}) {
+      if (this.staged.size === 0) {
+        throw new Error('Nothing staged to commit');
+      }
+      
+      const commitId = this.vc.commit(this._current().index, message, options);
+      this.baseId = commitId;
+      this.base = this.vc.getData();
+      this.index = this.vc._deepClone(this.base);
+      this.staged.clear();
+      return commitId;
+    }
+  
+    /**
+     * Discards all staged and unstaged changes and reloads the working copy from HEAD.
+     */
+    reset() {
+      /** @private */
+      this.baseId = this.vc.HEAD;
+      /** @private */
+      this.base = this.vc.HEAD ? this.vc.getData() : null;
+      /** @private */
+      this.index = this.vc._deepClone(this.base);
+      /** @private */
+      this.working = this.vc._deepClone(this.base);
+      /** @private */
+      this.changed = new Set();
+      /** @private */
+      this.staged = new Set();
+      /** @private */
+      this.proxies = new Map();
+    }
+  
+    /**
+     * Gets HEAD and the index as they are compared and committed. If HEAD has moved, the index is the
+     * new HEAD with the staged paths copied onto it.
+     * @private
+     * @returns {{base: *, index: *}} The current HEAD data and the index.
+     */
+    _current() {
+      if (this.vc.HEAD === this.baseId) {
+        return { base: this.base, index: this.index };
+      }
+      
+      const base = this.vc.HEAD ? this.vc.getData() : null;
+      let index = this.vc._deepClone(base);
+      for (const path of this.staged) {
+        index = this._copyPath(this.index, index, path);
+      }
+      return { base, index };
+    }
+  
+    /**
+     * Wraps a plain object or array of the working document in a Proxy that records changes at its path.
+     * Proxies are cached by path and reused while the path still holds the same object.
+     * @private
+     * @param {*} value - The value at the path.
+     * @param {string} path - The path of the value.
+     * @returns {*} The Proxy, or the value itself if it isn't a plain object or array.
+     */
+    _wrap(value, path) {
+      if (!this.vc._isContainer(value)) return value;
+      
+      const cached = this.proxies.get(path);
+      if (cached && cached.target === value) return cached.proxy;
+      
+      const childPath = key => (path === '' ? String(key) : `${path}.${String(key)}`);
+      const record = key => {
+        if (typeof key !== 'symbol') this.changed.add(Array.isArray(value) ? path : childPath(key));
+      };
+      const proxy = new Proxy(value, {
+        get: (target, key, receiver) => {
+          const result = Reflect.get(target, key, receiver);
+          if (typeof key === 'symbol' || !Object.prototype.hasOwnProperty.call(target, key)) return result;
+          return this._wrap(result, childPath(key));
+        },
+        set: (target, key, newValue) => {
+          const copy = this.vc._deepClone(newValue);
+          record(key);
+          target[key] = copy;
+          return true;
+        },
+        deleteProperty: (target, key) => {
+          record(key);
+          delete target[key];
+          return true;
+        }
+      });
+      
+      this.proxies.set(path, { target: value, proxy });
+      return proxy;
+    }
+  
+    /**
+     * Copies the value at a path from one document to another, deleting it from the target if the source lacks it.
+     * @private
+     * @param {*} source - The document to copy from.
+     * @param {*} target - The document to copy to. It is changed in place unless the path is the whole document.
+     * @param {string} path - The path.
+     * @returns {*} The target document.
+     */
+    _copyPath(source, target, path) {
+      if (path === '') return this.vc._deepClone(source);
+      
+      const value = this.vc._getPath(source, path);
+      if (value === undefined) {
+        this.vc._deletePath(target, path);
+      } else {
+        this.vc._setPath(target, path, value);
+      }
+      return target;
+    }
+  
+    /**
+     * Checks whether a path is at or below another.
+     * @private
+     * @param {string} path - The path to check.
+     * @param {string} ancestor - The possible ancestor.
+     * @returns {boolean} `true` if `path` is `ancestor` or one of its descendants.
+     */
+    _within(path, ancestor) {
+      return ancestor === '' || path === ancestor || path.startsWith(`${ancestor}.`);
+    }
+  }
+  
+  /**
+   * Adapters receive commits and state already encoded as JSON-safe data, so they can store them with `JSON.stringify()`.
+   *
+   * @typedef {Object} StorageAdapter
+   * @property {function(string): (Object|null|Promise<Object|null>)} readCommit - Reads one commit object by ID.
+   * @property {function(Object): (void|Promise<void>)} writeCommit - Writes one commit object.
+   * @property {function(string): (void|Promise<void>)} deleteCommit - Deletes one commit object.
+   * @property {function(): (Object|Promise<Object>)} readRefs - Reads all refs as a map from name to commit ID.
+   * @property {function(string, string): (void|Promise<void>)} writeRef - Writes one ref.
+   * @property {function(string): (void|Promise<void>)} deleteRef - Deletes one ref.
+   * @property {function(): (Object|null|Promise<Object|null>)} readState - Reads the HEAD, current branch and stash state.
+   * @property {function(Object): (void|Promise<void>)} writeState - Writes the HEAD, current branch and stash state.
+   */
+  
+  /**
+   * A storage adapter that keeps everything in memory. Useful for tests and as a reference implementation.
+   *
+   * @class MemoryAdapter
+   * @implements {StorageAdapter}
+   */
+  class MemoryAdapter {
+    constructor() {
+      /** @private */
+      this.commits = new Map();
+      /** @private */
+      this.refs = new Map();
+      /** @private */
+      this.state = null;
+    }
+  
+    readCommit(commitId) {
+      const json = this.commits.get(commitId);
+      return json ? JSON.parse(json) : null;
+    }
+  
+    writeCommit(commit) {
+      this.commits.set(commit.id, JSON.stringify(commit));
+    }
+  
+    deleteCommit(commitId) {
+      this.commits.delete(commitId);
+    }
+  
+    readRefs() {
+      return Object.fromEntries(this.refs);
+    }
+  
+    writeRef(name, commitId) {
+      this.refs.set(name, commitId);
+    }
+  
+    deleteRef(name) {
+      this.refs.delete(name);
+    }
+  
+    readState() {
+      return this.state ? JSON.parse(this.state) : null;
+    }
+  
+    writeState(state) {
+      this.state = JSON.stringify(state);
+    }
+  }
+  
+  /**
+   * A storage adapter backed by the Web Storage API (`localStorage` or `sessionStorage`).
+   * Each commit, ref and the state are stored under their own key.
+   *
+   * @class LocalStorageAdapter
+   * @implements {StorageAdapter}
+   */
+  class LocalStorageAdapter {
+    /**
+     * @param {Object} [options={}] - Adapter options.
+     * @param {Storage} [options.storage=localStorage] - The Web Storage object to use.
+     * @param {string} [options.prefix='chronicle'] - A prefix for all keys, to keep several histories apart.
+     */
+    constructor(options = {}) {
+      /** @private */
+      this.storage = options.storage || globalThis.localStorage;
+      /** @private */
+      this.prefix = options.prefix || 'chronicle';
+    }
+  
+    readCommit(commitId) {
+      const json = this.storage.getItem(`${this.prefix}:commit:${commitId}`);
+      return json ? JSON.parse(json) : null;
+    }
+  
+    writeCommit(commit) {
+      this.storage.setItem(`${this.prefix}:commit:${commit.id}`, JSON.stringify(commit));
+    }
+  
+    deleteCommit(commitId) {
+      this.storage.removeItem(`${this.prefix}:commit:${commitId}`);
+    }
+  
+    readRefs() {
+      const refs = {};
+      const refPrefix = `${this.prefix}:ref:`;
+      for (let i = 0; i < this.storage.length; i++) {
+        const key = this.storage.key(i);
+        if (key.startsWith(refPrefix)) {
+          refs[key.slice(refPrefix.length)] = this.storage.getItem(key);
+        }
+      }
+      return refs;
+    }
+  
+    writeRef(name, commitId) {
+      this.storage.setItem(`${this.prefix}:ref:${name}`, commitId);
+    }
+  
+    deleteRef(name) {
+      this.storage.removeItem(`${this.prefix}:ref:${name}`);
+    }
+  
+    readState() {
+      const json = this.storage.getItem(`${this.prefix}:state`);
+      return json ? JSON.parse(json) : null;
+    }
+  
+    writeState(state) {
+      this.storage.setItem(`${this.prefix}:state`, JSON.stringify(state));
+    }
+  }
+  
+  /**
+   * An asynchronous storage adapter backed by IndexedDB.
+   * Because reads are asynchronous, call `preload()` before reading commits that haven't been loaded yet.
+   *
+   * @class IndexedDBAdapter
+   * @implements {StorageAdapter}
+   */
+  class IndexedDBAdapter {
+    /**
+     * @param {Object} [options={}] - Adapter options.
+     * @param {string} [options.name='chronicle'] - The database name.
+     * @param {IDBFactory} [options.indexedDB=indexedDB] - The IndexedDB factory to use.
+     */
+    constructor(options = {}) {
+      /** @private */
+      this.name = options.name || 'chronicle';
+      /** @private */
+      this.factory = options.indexedDB || globalThis.indexedDB;
+      /** @private */
+      this.db = null;
+    }
+  
+    readCommit(commitId) {
+      return this._request('commits', 'readonly', store => store.get(commitId)).then(commit => commit || null);
+    }
+  
+    writeCommit(commit) {
+      return this._request('commits', 'readwrite', store => store.put(commit));
+    }
+  
+    deleteCommit(commitId) {
+      return this._request('commits', 'readwrite', store => store.delete(commitId));
+    }
+  
+    async readRefs() {
+      const [names, commitIds] = await Promise.all([
+        this._request('refs', 'readonly', store => store.getAllKeys()),
+        this._request('refs', 'readonly', store => store.getAll())
+      ]);
+      const refs = {};
+      names.forEach((name, i) => {
+        refs[name] = commitIds[i];
+      });
+      return refs;
+    }
+  
+    writeRef(name, commitId) {
+      return this._request('refs', 'readwrite', store => store.put(commitId, name));
+    }
+  
+    deleteRef(name) {
+      return this._request('refs', 'readwrite', store => store.delete(name));
+    }
+  
+    readState() {
+      return this._request('state', 'readonly', store => store.get('state')).then(state => state || null);
+    }
+  
+    writeState(state) {
+      return this._request('state', 'readwrite', store => store.put(JSON.parse(JSON.stringify(state)), 'state'));
+    }
+  
+    /**
+     * Opens the database, creating its object stores on first use.
+     * @private
+     * @returns {Promise<IDBDatabase>} The open database.
+     */
+    _open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = this.factory.open(this.name, 1);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('commits', { keyPath: 'id' });
+            db.createObjectStore('refs');
+            db.createObjectStore('state');
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    }
+  
+    /**
+     * Runs a single request in its own transaction.
+     * @private
+     * @param {string} storeName - The object store to use.
+     * @param {('readonly'|'readwrite')} mode - The transaction mode.
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request.
+     * @returns {Promise<*>} Resolves with the request result once the transaction completes.
+     */
+    async _request(storeName, mode, makeRequest) {
+      const db = await this._open();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+  }
+  
+  /**
+   * A storage adapter for Node.js that stores each commit and ref as a file in a directory:
+   * `commits/<id>.json`, `refs/<name>` and `state.json`.
+   *
+   * @class FileSystemAdapter
+   * @implements {StorageAdapter}
+   */
+  class FileSystemAdapter {
+    /**
+     * @param {string} directory - The directory to store the history in. It is created if needed.
+     */
+    constructor(directory) {
+      /** @private */
+      this.fs = require('fs');
+      /** @private */
+      this.path = require('path');
+      /** @private */
+      this.directory = directory;
+      
+      this.fs.mkdirSync(this.path.join(directory, 'commits'), { recursive: true });
+      this.fs.mkdirSync(this.path.join(directory, 'refs'), { recursive: true });
+    }
+  
+    readCommit(commitId) {
+      return this._read(this._commitFile(commitId));
+    }
+  
+    writeCommit(commit) {
+      this._write(this._commitFile(commit.id), commit);
+    }
+  
+    deleteCommit(commitId) {
+      this.fs.rmSync(this._commitFile(commitId), { force: true });
+    }
+  
+    readRefs() {
+      const refs = {};
+      const refDir = this.path.join(this.directory, 'refs');
+      for (const file of this.fs.readdirSync(refDir)) {
+        refs[decodeURIComponent(file)] = this.fs.readFileSync(this.path.join(refDir, file), 'utf8');
+      }
+      return refs;
+    }
+  
+    writeRef(name, commitId) {
+      this.fs.writeFileSync(this._refFile(name), commitId);
+    }
+  
+    deleteRef(name) {
+      this.fs.rmSync(this._refFile(name), { force: true });
+    }
+  
+    readState() {
+      return this._read(this.path.join(this.directory, 'state.json'));
+    }
+  
+    writeState(state) {
+      this._write(this.path.join(this.directory, 'state.json'), state);
+    }
+  
+    /** @private */
+    _commitFile(commitId) {
+      return this.path.join(this.directory, 'commits', `${encodeURIComponent(commitId)}.json`);
+    }
+  
+    /** @private */
+    _refFile(name) {
+      return this.path.join(this.directory, 'refs', encodeURIComponent(name));
+    }
+  
+    /** @private */
+    _read(file) {
+      if (!this.fs.existsSync(file)) return null;
+      return JSON.parse(this.fs.readFileSync(file, 'utf8'));
+    }
+  
+    /**
+     * Writes a file atomically by writing to a temporary file and renaming it.
+     * @private
+     */
+    _write(file, value) {
+      const temp = `${file}.tmp`;
+      this.fs.writeFileSync(temp, JSON.stringify(value));
+      this.fs.renameSync(temp, file);
+    }
+  }
+  
+  /**
+   * Custom types registered with `VersionControl.registerType()`, by name.
+   * @private
+   */
+  VersionControl.customTypes = new Map();
+  
+  VersionControl.WorkingCopy = WorkingCopy;
+  VersionControl.MemoryAdapter = MemoryAdapter;
+  VersionControl.LocalStorageAdapter = LocalStorageAdapter;
+  VersionControl.IndexedDBAdapter = IndexedDBAdapter;
+  VersionControl.FileSystemAdapter = FileSystemAdapter;
   
   // Universal module definition
   if (typeof module !== 'undefined' && module.exports) {